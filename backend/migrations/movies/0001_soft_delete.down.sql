@@ -0,0 +1,8 @@
+DROP INDEX IF EXISTS idx_movies_updated_at;
+DROP INDEX IF EXISTS idx_movies_deleted_at;
+
+-- Trashed movies would reappear once the columns are gone, so purge them first
+DELETE FROM movies WHERE deleted_at IS NOT NULL;
+
+ALTER TABLE movies DROP COLUMN IF EXISTS deleted_by;
+ALTER TABLE movies DROP COLUMN IF EXISTS deleted_at;
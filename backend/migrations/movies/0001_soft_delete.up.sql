@@ -0,0 +1,6 @@
+-- Soft delete: movies are moved to the trash and purged after the retention window
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS deleted_by VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_movies_deleted_at ON movies(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_movies_updated_at ON movies(updated_at);
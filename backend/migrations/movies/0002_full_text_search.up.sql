@@ -0,0 +1,9 @@
+-- Weighted full-text document: name > actor > genre > description
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(actor, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(genre, '')), 'C') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'D')
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_movies_search_vector ON movies USING GIN (search_vector);
@@ -0,0 +1,31 @@
+-- Full snapshot of a movie after every create, update, delete, restore and revert
+CREATE TABLE IF NOT EXISTS movie_revisions (
+    id SERIAL PRIMARY KEY,
+    movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    revision INTEGER NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    snapshot JSONB NOT NULL,
+    changed_fields TEXT[] NOT NULL DEFAULT '{}',
+    reverted_to INTEGER,
+    changed_by VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (movie_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_revisions_movie_id ON movie_revisions(movie_id);
+
+-- Existing movies start their history with their current state as revision 1
+INSERT INTO movie_revisions (movie_id, revision, action, snapshot, changed_fields, changed_by, created_at)
+SELECT id, 1, 'create',
+    jsonb_build_object(
+        'name', name,
+        'actor', actor,
+        'genre', genre,
+        'description', description,
+        'deleted', deleted_at IS NOT NULL
+    ),
+    ARRAY['name', 'actor', 'genre', 'description'],
+    updated_by,
+    created_at
+FROM movies
+ON CONFLICT (movie_id, revision) DO NOTHING;
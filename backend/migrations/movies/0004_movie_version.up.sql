@@ -0,0 +1,2 @@
+-- Optimistic concurrency: every write bumps the version exposed as the movie's ETag
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
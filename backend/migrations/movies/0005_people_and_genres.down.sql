@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS movie_genres;
+DROP TABLE IF EXISTS movie_cast;
+DROP TABLE IF EXISTS genres;
+DROP TABLE IF EXISTS people;
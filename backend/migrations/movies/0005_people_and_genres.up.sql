@@ -0,0 +1,74 @@
+-- Normalized cast and genres. movies.actor and movies.genre stay as
+-- denormalized display text, rebuilt from these tables on every write.
+CREATE TABLE IF NOT EXISTS people (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_people_name_lower ON people (lower(name));
+
+-- slug is the lower-cased name with punctuation and spaces collapsed to '-',
+-- so "Sci-Fi" and "sci fi" are the same genre
+CREATE TABLE IF NOT EXISTS genres (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(100) NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS movie_cast (
+    movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    person_id INTEGER NOT NULL REFERENCES people(id) ON DELETE RESTRICT,
+    character_name VARCHAR(200),
+    billing_order INTEGER NOT NULL,
+    PRIMARY KEY (movie_id, billing_order)
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_cast_person_id ON movie_cast(person_id);
+
+CREATE TABLE IF NOT EXISTS movie_genres (
+    movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    genre_id INTEGER NOT NULL REFERENCES genres(id) ON DELETE RESTRICT,
+    PRIMARY KEY (movie_id, genre_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_genres_genre_id ON movie_genres(genre_id);
+
+-- Backfill from the free-text columns, treating commas as separators
+INSERT INTO genres (name, slug)
+SELECT DISTINCT ON (slug) name, slug
+FROM (
+    SELECT trim(part) AS name,
+        trim(BOTH '-' FROM regexp_replace(lower(trim(part)), '[^[:alnum:]]+', '-', 'g')) AS slug
+    FROM movies, regexp_split_to_table(movies.genre, ',') AS part
+) AS parsed
+WHERE slug <> ''
+ORDER BY slug, name
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO movie_genres (movie_id, genre_id)
+SELECT DISTINCT movies.id, genres.id
+FROM movies
+CROSS JOIN LATERAL regexp_split_to_table(movies.genre, ',') AS part
+JOIN genres ON genres.slug = trim(BOTH '-' FROM regexp_replace(lower(trim(part)), '[^[:alnum:]]+', '-', 'g'))
+ON CONFLICT DO NOTHING;
+
+INSERT INTO people (name)
+SELECT DISTINCT ON (lower(trim(part))) trim(part)
+FROM movies, regexp_split_to_table(movies.actor, ',') AS part
+WHERE trim(part) <> ''
+    AND NOT EXISTS (SELECT 1 FROM people WHERE lower(people.name) = lower(trim(part)))
+ORDER BY lower(trim(part)), trim(part);
+
+INSERT INTO movie_cast (movie_id, person_id, billing_order)
+SELECT movies.id, person.id, row_number() OVER (PARTITION BY movies.id ORDER BY part.n)
+FROM movies
+CROSS JOIN LATERAL regexp_split_to_table(movies.actor, ',') WITH ORDINALITY AS part(name, n)
+CROSS JOIN LATERAL (
+    SELECT id FROM people WHERE lower(people.name) = lower(trim(part.name)) ORDER BY id LIMIT 1
+) AS person
+WHERE trim(part.name) <> ''
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,17 @@
+DROP INDEX IF EXISTS idx_movies_tmdb_id;
+DROP INDEX IF EXISTS idx_movies_imdb_id;
+DROP INDEX IF EXISTS idx_movies_country;
+DROP INDEX IF EXISTS idx_movies_original_language;
+DROP INDEX IF EXISTS idx_movies_certification;
+DROP INDEX IF EXISTS idx_movies_runtime_minutes;
+DROP INDEX IF EXISTS idx_movies_release_date;
+
+ALTER TABLE movies
+    DROP COLUMN IF EXISTS poster_url,
+    DROP COLUMN IF EXISTS tmdb_id,
+    DROP COLUMN IF EXISTS imdb_id,
+    DROP COLUMN IF EXISTS country,
+    DROP COLUMN IF EXISTS original_language,
+    DROP COLUMN IF EXISTS certification,
+    DROP COLUMN IF EXISTS runtime_minutes,
+    DROP COLUMN IF EXISTS release_date;
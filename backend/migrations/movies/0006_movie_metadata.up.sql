@@ -0,0 +1,20 @@
+-- Catalogue metadata; every field is optional
+ALTER TABLE movies
+    ADD COLUMN IF NOT EXISTS release_date DATE,
+    ADD COLUMN IF NOT EXISTS runtime_minutes INTEGER CHECK (runtime_minutes > 0),
+    ADD COLUMN IF NOT EXISTS certification VARCHAR(10),
+    ADD COLUMN IF NOT EXISTS original_language VARCHAR(3),
+    ADD COLUMN IF NOT EXISTS country CHAR(2),
+    ADD COLUMN IF NOT EXISTS imdb_id VARCHAR(12),
+    ADD COLUMN IF NOT EXISTS tmdb_id INTEGER,
+    ADD COLUMN IF NOT EXISTS poster_url VARCHAR(500);
+
+CREATE INDEX IF NOT EXISTS idx_movies_release_date ON movies(release_date);
+CREATE INDEX IF NOT EXISTS idx_movies_runtime_minutes ON movies(runtime_minutes);
+CREATE INDEX IF NOT EXISTS idx_movies_certification ON movies(certification);
+CREATE INDEX IF NOT EXISTS idx_movies_original_language ON movies(original_language);
+CREATE INDEX IF NOT EXISTS idx_movies_country ON movies(country);
+
+-- An external id identifies one live movie; trashed copies may keep theirs
+CREATE UNIQUE INDEX IF NOT EXISTS idx_movies_imdb_id ON movies(imdb_id) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_movies_tmdb_id ON movies(tmdb_id) WHERE deleted_at IS NULL;
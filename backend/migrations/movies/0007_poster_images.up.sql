@@ -0,0 +1,3 @@
+-- Uploaded poster files: { original, width, height, thumbnails: { "<width>": url } }.
+-- NULL when the poster is an external URL or there is none
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS poster_images JSONB;
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS movie_ratings;
+DROP TABLE IF EXISTS movie_reviews;
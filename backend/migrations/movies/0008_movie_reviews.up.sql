@@ -0,0 +1,29 @@
+-- One rating (1-10) and optional review per user per movie. Users live in
+-- users-db, so username cannot be a foreign key: the backend deletes a user's
+-- reviews when it deletes the user.
+CREATE TABLE IF NOT EXISTS movie_reviews (
+    id SERIAL PRIMARY KEY,
+    movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    username VARCHAR(50) NOT NULL,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 10),
+    body TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Set by a moderator; hidden reviews are left out of listings and aggregates
+    hidden_at TIMESTAMP,
+    hidden_by VARCHAR(50),
+    hidden_reason VARCHAR(255),
+    UNIQUE (movie_id, username)
+);
+
+CREATE INDEX IF NOT EXISTS idx_movie_reviews_username ON movie_reviews(username);
+CREATE INDEX IF NOT EXISTS idx_movie_reviews_movie_created ON movie_reviews(movie_id, created_at DESC);
+
+-- Aggregates over the visible reviews, rewritten in the same transaction as
+-- every review write. Kept out of the movies row so rating traffic does not
+-- bump its version or updated_at.
+CREATE TABLE IF NOT EXISTS movie_ratings (
+    movie_id INTEGER PRIMARY KEY REFERENCES movies(id) ON DELETE CASCADE,
+    rating_count INTEGER NOT NULL DEFAULT 0,
+    rating_average NUMERIC(4, 2)
+);
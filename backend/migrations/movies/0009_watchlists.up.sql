@@ -0,0 +1,36 @@
+-- Personal watchlists and watched log. Owners are users-db usernames (no
+-- cross-database foreign key; the backend deletes them with the user).
+CREATE TABLE IF NOT EXISTS watchlists (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    description VARCHAR(500),
+    -- Random token for the read-only share link; NULL while the list is private
+    share_token VARCHAR(64) UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (username, name)
+);
+
+-- position runs 1..n within a list
+CREATE TABLE IF NOT EXISTS watchlist_items (
+    watchlist_id INTEGER NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+    movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (watchlist_id, movie_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_watchlist_items_movie_id ON watchlist_items(movie_id);
+
+-- One row per viewing, so rewatches are logged too
+CREATE TABLE IF NOT EXISTS watched_movies (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) NOT NULL,
+    movie_id INTEGER NOT NULL REFERENCES movies(id) ON DELETE CASCADE,
+    watched_on DATE NOT NULL DEFAULT CURRENT_DATE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_watched_movies_username ON watched_movies(username, watched_on DESC);
+CREATE INDEX IF NOT EXISTS idx_watched_movies_movie_id ON watched_movies(movie_id);
@@ -0,0 +1 @@
+-- Nothing to undo: the renumbered positions keep the lists' order
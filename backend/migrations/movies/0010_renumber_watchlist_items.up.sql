@@ -0,0 +1,7 @@
+-- Close the position gaps that purged movies used to leave in watchlists
+UPDATE watchlist_items wi SET position = ranked.position
+    FROM (SELECT watchlist_id, movie_id,
+            ROW_NUMBER() OVER (PARTITION BY watchlist_id ORDER BY position) AS position
+        FROM watchlist_items) ranked
+    WHERE wi.watchlist_id = ranked.watchlist_id AND wi.movie_id = ranked.movie_id
+        AND wi.position <> ranked.position;
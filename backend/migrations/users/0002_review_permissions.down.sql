@@ -0,0 +1 @@
+DELETE FROM permissions WHERE name IN ('reviews:write', 'reviews:moderate');
@@ -0,0 +1,17 @@
+-- Ratings and reviews: every role may review, moderators and admins may hide reviews
+INSERT INTO permissions (name, description) VALUES
+('reviews:write', 'Rate and review movies'),
+('reviews:moderate', 'Hide and unhide reviews')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM (VALUES
+    ('viewer', 'reviews:write'),
+    ('editor', 'reviews:write'),
+    ('moderator', 'reviews:write'), ('moderator', 'reviews:moderate'),
+    ('admin', 'reviews:write'), ('admin', 'reviews:moderate')
+) AS grants(role_name, permission_name)
+JOIN roles r ON r.name = grants.role_name
+JOIN permissions p ON p.name = grants.permission_name
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,2 @@
+DELETE FROM permissions WHERE name = 'webhooks:manage';
+DROP TABLE IF EXISTS webhooks;
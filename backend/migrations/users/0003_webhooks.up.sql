@@ -0,0 +1,24 @@
+-- Outbound webhook subscriptions, managed by admins. The secret signs each
+-- delivery (HMAC-SHA256), so it is stored as is rather than hashed.
+CREATE TABLE IF NOT EXISTS webhooks (
+    id SERIAL PRIMARY KEY,
+    url VARCHAR(500) NOT NULL,
+    -- Event names or patterns, e.g. {movie.created,user.*}
+    events TEXT[] NOT NULL,
+    description VARCHAR(255),
+    secret VARCHAR(128) NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO permissions (name, description) VALUES
+('webhooks:manage', 'Manage outbound webhooks and their deliveries')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM roles r, permissions p
+WHERE r.name = 'admin' AND p.name = 'webhooks:manage'
+ON CONFLICT DO NOTHING;
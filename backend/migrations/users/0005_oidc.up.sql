@@ -0,0 +1,9 @@
+-- OpenID Connect single sign-on. A user signed in through the identity
+-- provider is identified by the issuer and its subject claim; usernames can
+-- change at the provider, subjects do not. Users created on first sign-in
+-- have no local password.
+ALTER TABLE users ALTER COLUMN password DROP NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_issuer VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS oidc_subject VARCHAR(255);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_oidc_identity ON users(oidc_issuer, oidc_subject);
@@ -0,0 +1,248 @@
+/**
+ * Mock OpenID Connect provider for trying single sign-on locally
+ *
+ * Usage:
+ *   node scripts/mock-oidc.js
+ *
+ * Then start the backend with:
+ *   OIDC_ISSUER=http://localhost:9400 OIDC_CLIENT_ID=movie-list
+ *
+ * The sign-in page asks for any username and a comma-separated list of
+ * groups; there are no passwords. It implements just enough of the spec for
+ * the backend: discovery, JWKS, the authorization code flow with PKCE (S256
+ * only), RS256 ID tokens and userinfo. Codes and tokens live in memory and a
+ * new signing key is made on every start.
+ *
+ * Environment:
+ *   MOCK_OIDC_PORT           Port to listen on (9400)
+ *   MOCK_OIDC_ISSUER         Issuer URL (http://localhost:<port>)
+ *   MOCK_OIDC_CLIENT_ID      Accepted client id (movie-list)
+ *   MOCK_OIDC_CLIENT_SECRET  Required client secret; unset accepts public clients
+ *
+ * From a test, startMockProvider() listens on a free port instead.
+ *
+ * Not for production use.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+const CODE_TTL_MS = 60 * 1000;
+const TOKEN_TTL_SECONDS = 5 * 60;
+
+/**
+ * Start a mock provider.
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Port to listen on; 0 picks a free one
+ * @param {string} [options.issuer] - Issuer URL (http://localhost:<port>)
+ * @param {string} [options.clientId=movie-list] - Accepted client id
+ * @param {string} [options.clientSecret] - Required client secret; unset accepts public clients
+ * @returns {Promise<{issuer: string, close: Function}>}
+ */
+const startMockProvider = ({ port = 0, issuer, clientId = 'movie-list', clientSecret } = {}) => new Promise((resolve, reject) => {
+  let issuerUrl = issuer;
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const keyId = crypto.randomBytes(8).toString('hex');
+
+  // code -> { claims, redirectUri, codeChallenge, nonce, expiresAt }
+  const codes = new Map();
+  // access token -> claims
+  const accessTokens = new Map();
+
+  const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+  const sendJson = (res, status, body, headers = {}) => {
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+  };
+
+  const readForm = (req) => new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(new URLSearchParams(body)));
+    req.on('error', reject);
+  });
+
+  const signJwt = (claims) => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: keyId })}.${encode(claims)}`;
+    return `${input}.${crypto.sign('sha256', Buffer.from(input), privateKey).toString('base64url')}`;
+  };
+
+  // The subject is stable per username, as it would be at a real provider
+  const subjectFor = (username) => crypto.createHash('sha256').update(`${issuerUrl}:${username}`).digest('hex').slice(0, 24);
+
+  const discovery = () => ({
+    issuer: issuerUrl,
+    authorization_endpoint: `${issuerUrl}/authorize`,
+    token_endpoint: `${issuerUrl}/token`,
+    userinfo_endpoint: `${issuerUrl}/userinfo`,
+    jwks_uri: `${issuerUrl}/jwks`,
+    response_types_supported: ['code'],
+    subject_types_supported: ['public'],
+    id_token_signing_alg_values_supported: ['RS256'],
+    scopes_supported: ['openid', 'profile', 'email', 'groups'],
+    token_endpoint_auth_methods_supported: clientSecret ? ['client_secret_basic', 'client_secret_post'] : ['none'],
+    code_challenge_methods_supported: ['S256']
+  });
+
+  const signInPage = (params) => `<!DOCTYPE html>
+  <html>
+  <head><meta charset="utf-8"><title>Mock OIDC sign-in</title></head>
+  <body style="font-family: sans-serif; max-width: 24rem; margin: 4rem auto;">
+    <h1>Mock OIDC provider</h1>
+    <p>Signing in to <strong>${escapeHtml(params.get('client_id'))}</strong></p>
+    <form method="post" action="/authorize">
+      ${[...params].map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`).join('\n    ')}
+      <p><label>Username<br><input name="username" required autofocus></label></p>
+      <p><label>Groups (comma-separated)<br><input name="groups" placeholder="movie-admins"></label></p>
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+  </html>`;
+
+  // Checks an authorization request; returns an error message or null
+  const checkAuthorizationRequest = (params) => {
+    if (params.get('client_id') !== clientId) return 'Unknown client_id';
+    if (!params.get('redirect_uri')) return 'Missing redirect_uri';
+    if (params.get('response_type') !== 'code') return 'Only response_type=code is supported';
+    if (!(params.get('scope') || '').split(' ').includes('openid')) return 'The openid scope is required';
+    if (params.get('code_challenge_method') !== 'S256' || !params.get('code_challenge')) return 'PKCE with S256 is required';
+    return null;
+  };
+
+  const authorize = async (req, res, url) => {
+    if (req.method === 'GET') {
+      const problem = checkAuthorizationRequest(url.searchParams);
+      if (problem) {
+        res.writeHead(400, { 'Content-Type': 'text/plain' });
+        return res.end(problem);
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      return res.end(signInPage(url.searchParams));
+    }
+
+    const form = await readForm(req);
+    const problem = checkAuthorizationRequest(form);
+    if (problem) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      return res.end(problem);
+    }
+    const username = form.get('username').trim();
+    const groups = (form.get('groups') || '').split(',').map((group) => group.trim()).filter(Boolean);
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+      claims: {
+        sub: subjectFor(username),
+        preferred_username: username,
+        name: username,
+        email: `${username}@example.test`,
+        groups
+      },
+      redirectUri: form.get('redirect_uri'),
+      codeChallenge: form.get('code_challenge'),
+      nonce: form.get('nonce'),
+      expiresAt: Date.now() + CODE_TTL_MS
+    });
+
+    const redirect = new URL(form.get('redirect_uri'));
+    redirect.searchParams.set('code', code);
+    if (form.get('state')) redirect.searchParams.set('state', form.get('state'));
+    res.writeHead(302, { Location: redirect.toString() });
+    res.end();
+  };
+
+  // client_secret_basic or client_secret_post
+  const clientAuthenticated = (req, form) => {
+    const basic = /^Basic (.+)$/.exec(req.headers.authorization || '');
+    if (basic) {
+      const [id, secret] = Buffer.from(basic[1], 'base64').toString().split(':').map(decodeURIComponent);
+      return id === clientId && (!clientSecret || secret === clientSecret);
+    }
+    return form.get('client_id') === clientId && (!clientSecret || form.get('client_secret') === clientSecret);
+  };
+
+  const token = async (req, res) => {
+    const form = await readForm(req);
+    if (!clientAuthenticated(req, form)) {
+      return sendJson(res, 401, { error: 'invalid_client' });
+    }
+    if (form.get('grant_type') !== 'authorization_code') {
+      return sendJson(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    // Codes are single-use
+    const grant = codes.get(form.get('code'));
+    codes.delete(form.get('code'));
+    if (!grant || grant.expiresAt < Date.now() || grant.redirectUri !== form.get('redirect_uri')) {
+      return sendJson(res, 400, { error: 'invalid_grant' });
+    }
+    const challenge = crypto.createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+      return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, grant.claims);
+    setTimeout(() => accessTokens.delete(accessToken), TOKEN_TTL_SECONDS * 1000).unref();
+
+    sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: TOKEN_TTL_SECONDS,
+      id_token: signJwt({
+        iss: issuerUrl,
+        aud: clientId,
+        iat: now,
+        exp: now + TOKEN_TTL_SECONDS,
+        ...(grant.nonce && { nonce: grant.nonce }),
+        ...grant.claims
+      })
+    });
+  };
+
+  const userinfo = (req, res) => {
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    const claims = bearer && accessTokens.get(bearer[1]);
+    if (!claims) {
+      return sendJson(res, 401, { error: 'invalid_token' }, { 'WWW-Authenticate': 'Bearer error="invalid_token"' });
+    }
+    sendJson(res, 200, claims);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, issuerUrl);
+    try {
+      if (url.pathname === '/.well-known/openid-configuration') return sendJson(res, 200, discovery());
+      if (url.pathname === '/jwks') {
+        return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: 'RS256', use: 'sig' }] });
+      }
+      if (url.pathname === '/authorize') return await authorize(req, res, url);
+      if (url.pathname === '/token' && req.method === 'POST') return await token(req, res);
+      if (url.pathname === '/userinfo') return userinfo(req, res);
+      sendJson(res, 404, { error: 'not_found' });
+    } catch (error) {
+      console.error(error);
+      sendJson(res, 500, { error: 'server_error' });
+    }
+  });
+
+  server.once('error', reject);
+  server.listen(port, () => {
+    issuerUrl = (issuerUrl || `http://localhost:${server.address().port}`).replace(/\/$/, '');
+    resolve({ issuer: issuerUrl, close: () => new Promise((done) => server.close(done)) });
+  });
+});
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_OIDC_PORT) || 9400;
+  const clientId = process.env.MOCK_OIDC_CLIENT_ID || 'movie-list';
+  const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET;
+  startMockProvider({ port, issuer: process.env.MOCK_OIDC_ISSUER, clientId, clientSecret }).then(({ issuer }) => {
+    console.log(`Mock OIDC provider at ${issuer} (client_id ${clientId}${clientSecret ? ', secret required' : ', public client'})`);
+  });
+}
+
+module.exports = { startMockProvider };
@@ -0,0 +1,86 @@
+/**
+ * Stub webhook receiver for trying webhooks locally and for tests
+ *
+ * Usage:
+ *   node scripts/webhook-receiver.js
+ *
+ * Then register http://localhost:9500/ as a webhook URL (POST
+ * /api/admin/webhooks) with the same secret. Every delivery is printed with
+ * whether its signature checks out.
+ *
+ * Environment:
+ *   WEBHOOK_RECEIVER_PORT    Port to listen on (9500)
+ *   WEBHOOK_RECEIVER_SECRET  Webhook secret used to check signatures
+ *   WEBHOOK_RECEIVER_STATUS  Status to answer with (204); use 500 to try retries
+ *
+ * From a test, startReceiver() listens on a free port and records what it
+ * receives instead.
+ *
+ * Not for production use.
+ */
+const http = require('http');
+const crypto = require('crypto');
+
+// True when the X-Webhook-Signature header is the HMAC of "<timestamp>.<body>"
+const signatureValid = (secret, headers, body) => {
+  const expected = `sha256=${crypto.createHmac('sha256', secret)
+    .update(`${headers['x-webhook-timestamp']}.${body}`)
+    .digest('hex')}`;
+  const actual = String(headers['x-webhook-signature'] || '');
+  return actual.length === expected.length && crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+};
+
+/**
+ * Start a receiver.
+ * @param {Object} [options]
+ * @param {number} [options.port=0] - Port to listen on; 0 picks a free one
+ * @param {string} [options.secret] - Webhook secret; without it signatures are not checked
+ * @param {Function} [options.status] - (request number) -> status to answer, 204 by default
+ * @param {Function} [options.onRequest] - Called with each recorded delivery
+ * @returns {Promise<{url: string, requests: Array<Object>, close: Function}>}
+ *   requests holds { method, headers, body, signatureValid } for each delivery received
+ */
+const startReceiver = ({ port = 0, secret, status = () => 204, onRequest = () => {} } = {}) => new Promise((resolve, reject) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString();
+      const request = {
+        method: req.method,
+        headers: req.headers,
+        body,
+        signatureValid: secret ? signatureValid(secret, req.headers, body) : null
+      };
+      requests.push(request);
+      onRequest(request);
+      res.writeHead(status(requests.length));
+      res.end();
+    });
+  });
+  server.once('error', reject);
+  server.listen(port, '127.0.0.1', () => {
+    resolve({
+      url: `http://127.0.0.1:${server.address().port}/`,
+      requests,
+      close: () => new Promise((done) => server.close(done))
+    });
+  });
+});
+
+if (require.main === module) {
+  const port = Number(process.env.WEBHOOK_RECEIVER_PORT) || 9500;
+  const secret = process.env.WEBHOOK_RECEIVER_SECRET;
+  const status = Number(process.env.WEBHOOK_RECEIVER_STATUS) || 204;
+  const print = ({ headers, body, signatureValid: valid }) => {
+    const signature = valid === null ? 'not checked' : (valid ? 'valid' : 'INVALID');
+    console.log(`${headers['x-webhook-event']} ${headers['x-webhook-delivery']} (signature ${signature})`);
+    console.log(body);
+  };
+  startReceiver({ port, secret, status: () => status, onRequest: print }).then(({ url }) => {
+    console.log(`Stub webhook receiver listening on ${url.replace('127.0.0.1', 'localhost')}`);
+  });
+}
+
+module.exports = { startReceiver };
@@ -0,0 +1,69 @@
+const config = require('./config');
+const database = require('./database');
+const { verifyPassword } = require('./security');
+const { checkPassword } = require('./password-policy');
+const { logger, logAdminAction } = require('./logging');
+
+// Placeholder account inserted by users-db/init.sql; it has a plaintext
+// password and must never be usable, so bootstrap removes it.
+const PLACEHOLDER_ADMIN = 'temp_admin';
+
+/**
+ * Check required settings before the server starts. Missing secrets are fatal
+ * in production and only a warning elsewhere.
+ * @throws {Error} In production, when JWT_SECRET or the admin credentials are missing
+ */
+const validateStartupConfig = () => {
+  const missing = ['JWT_SECRET', 'ADMIN_USERNAME', 'ADMIN_PASSWORD'].filter((key) => !config[key]);
+  if (missing.length === 0) return;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`Missing required configuration: ${missing.join(', ')}`);
+  }
+  logger.warn(`Missing configuration (required in production): ${missing.join(', ')}`);
+};
+
+/**
+ * Create or repair the admin account from ADMIN_USERNAME / ADMIN_PASSWORD and
+ * remove the init.sql placeholder admin. Safe to run on every startup: an
+ * account whose password already matches and holds the admin role is left alone.
+ */
+const bootstrapAdmin = async () => {
+  const { ADMIN_USERNAME: username, ADMIN_PASSWORD: password } = config;
+  if (!username || !password) {
+    logger.warn('ADMIN_USERNAME/ADMIN_PASSWORD not set, skipping admin bootstrap');
+    return;
+  }
+
+  // The admin password comes from the environment rather than through the
+  // API, so a weak one is only reported
+  const problem = checkPassword(password, username);
+  if (problem) {
+    logger.warn(`ADMIN_PASSWORD does not meet the password policy: ${problem}`);
+  }
+
+  const existing = await database.findUser(username);
+  if (!existing) {
+    await database.createUser(username, password, ['admin']);
+    logAdminAction('ADMIN_BOOTSTRAP_CREATED', 'system', username);
+  } else {
+    // Plaintext or stale hashes fail the comparison and get re-hashed
+    const matches = await verifyPassword(password, existing.password).catch(() => false);
+    if (!matches) {
+      await database.updateUserPassword(username, password);
+      logAdminAction('ADMIN_BOOTSTRAP_PASSWORD_RESET', 'system', username);
+    }
+    if (await database.addUserRole(username, 'admin')) {
+      logAdminAction('ADMIN_BOOTSTRAP_ROLE_GRANTED', 'system', username);
+    }
+  }
+
+  if (username !== PLACEHOLDER_ADMIN && await database.deleteUser(PLACEHOLDER_ADMIN)) {
+    logAdminAction('ADMIN_BOOTSTRAP_PLACEHOLDER_REMOVED', 'system', PLACEHOLDER_ADMIN);
+  }
+};
+
+module.exports = {
+  validateStartupConfig,
+  bootstrapAdmin
+};
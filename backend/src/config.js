@@ -1,7 +1,23 @@
+const path = require('path');
+
+// Sessions expire after this many idle seconds; every authenticated request slides the window
+const SESSION_TTL = Number(process.env.SESSION_TTL) || 1800;
+
+// jsonwebtoken reads a numeric string as milliseconds, so plain numbers are seconds here
+const JWT_EXPIRES = /^\d+$/.test(process.env.JWT_EXPIRES || '') ? Number(process.env.JWT_EXPIRES) : process.env.JWT_EXPIRES;
+
 module.exports = {
   PORT: Number(process.env.PORT) || 3000,
+  // Express 'trust proxy' setting so req.ip is the client address behind nginx
+  TRUST_PROXY: process.env.TRUST_PROXY || 'loopback, uniquelocal',
   JWT_SECRET: process.env.JWT_SECRET,
-  JWT_EXPIRES: '10m',
+  // Access tokens live as long as an idle session by default, so the Redis
+  // session, not the token, decides when an idle user is logged out
+  JWT_EXPIRES: JWT_EXPIRES || SESSION_TTL,
+
+  SESSION_TTL,
+  // Refresh tokens live this many seconds from their last rotation
+  REFRESH_TOKEN_TTL: Number(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60,
 
   // Users DB (internal Docker connection)
   PG_USERS_USER: process.env.USERS_DB_USER,
@@ -17,9 +33,138 @@ module.exports = {
   PG_MOVIES_PORT: Number(process.env.MOVIES_DB_PORT_INTERNAL) || 5432,
   PG_MOVIES_DB: process.env.MOVIES_DB_NAME,
 
+  // Apply pending schema migrations (backend/migrations) before the server starts
+  RUN_MIGRATIONS: process.env.RUN_MIGRATIONS === 'true',
+
   REDIS_URL: process.env.REDIS_URL || 'redis://localhost:6379',
 
-  BCRYPT_ROUNDS: Number(process.env.BCRYPT_ROUNDS) || 8,
+  // Movie read cache TTLs in seconds
+  CACHE_MOVIE_LIST_TTL: Number(process.env.CACHE_MOVIE_LIST_TTL) || 60,
+  CACHE_MOVIE_TTL: Number(process.env.CACHE_MOVIE_TTL) || 300,
+
+  // Soft-deleted movies are purged permanently once they have been in the trash this long
+  TRASH_RETENTION_DAYS: Number(process.env.TRASH_RETENTION_DAYS) || 30,
+  TRASH_PURGE_INTERVAL_MS: Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+
+  // Bulk import limits: request body size (express size string) and number of movies
+  IMPORT_MAX_BYTES: process.env.IMPORT_MAX_BYTES || '10mb',
+  IMPORT_MAX_ROWS: Number(process.env.IMPORT_MAX_ROWS) || 5000,
+
+  // Uploaded media. STORAGE_DRIVER picks the backend in storage.js; the local
+  // driver writes under UPLOAD_DIR, and files are served at MEDIA_URL_PREFIX
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'local',
+  UPLOAD_DIR: process.env.UPLOAD_DIR || path.join(__dirname, '../uploads'),
+  MEDIA_URL_PREFIX: process.env.MEDIA_URL_PREFIX || '/media',
+
+  // Poster uploads: size limit in bytes, decoded pixel limit and thumbnail widths
+  POSTER_MAX_BYTES: Number(process.env.POSTER_MAX_BYTES) || 5 * 1024 * 1024,
+  POSTER_MAX_PIXELS: Number(process.env.POSTER_MAX_PIXELS) || 40 * 1000 * 1000,
+  POSTER_THUMBNAIL_WIDTHS: (process.env.POSTER_THUMBNAIL_WIDTHS || '160,480').split(',').map(Number),
+
+  // Recommendations: how often the similarity tables are recomputed, how many
+  // similar movies are kept per movie, and how many users must have rated two
+  // movies before their ratings count towards collaborative similarity
+  RECOMMENDATION_REFRESH_MS: Number(process.env.RECOMMENDATION_REFRESH_MS) || 60 * 60 * 1000,
+  RECOMMENDATION_NEIGHBOURS: Number(process.env.RECOMMENDATION_NEIGHBOURS) || 20,
+  RECOMMENDATION_MIN_CORATERS: Number(process.env.RECOMMENDATION_MIN_CORATERS) || 2,
+
+  // Live event stream (GET /api/events): comment lines are sent this often to
+  // keep proxies from timing the connection out (nginx reads time out after
+  // 30s), and the open session is re-checked at the same pace
+  EVENT_HEARTBEAT_MS: Number(process.env.EVENT_HEARTBEAT_MS) || 15 * 1000,
+  EVENT_RETRY_MS: Number(process.env.EVENT_RETRY_MS) || 5 * 1000,
+
+  // Outbound webhooks: per-attempt timeout, attempts before a delivery is
+  // dead-lettered, first retry delay (doubling on each retry), how often the
+  // queue is polled and how many deliveries run at once, and the sizes of the
+  // per-webhook delivery log and the dead-letter list
+  WEBHOOK_TIMEOUT_MS: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000,
+  WEBHOOK_MAX_ATTEMPTS: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  WEBHOOK_RETRY_BASE_MS: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000,
+  WEBHOOK_POLL_MS: Number(process.env.WEBHOOK_POLL_MS) || 1000,
+  WEBHOOK_BATCH_SIZE: Number(process.env.WEBHOOK_BATCH_SIZE) || 10,
+  WEBHOOK_LOG_SIZE: Number(process.env.WEBHOOK_LOG_SIZE) || 100,
+  WEBHOOK_DEAD_LETTER_SIZE: Number(process.env.WEBHOOK_DEAD_LETTER_SIZE) || 1000,
+
+  // Rate limits (sliding window, counted in Redis): unauthenticated auth
+  // routes per client IP, and write routes per user
+  AUTH_RATE_LIMIT_MAX: Number(process.env.AUTH_RATE_LIMIT_MAX) || 30,
+  AUTH_RATE_LIMIT_WINDOW_MS: Number(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+  WRITE_RATE_LIMIT_MAX: Number(process.env.WRITE_RATE_LIMIT_MAX) || 60,
+  WRITE_RATE_LIMIT_WINDOW_MS: Number(process.env.WRITE_RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+
+  // Failed logins per username within LOGIN_FAILURE_WINDOW_MS: from the
+  // LOGIN_DELAY_AFTER-th on, the next attempt must wait LOGIN_DELAY_BASE_MS,
+  // doubling per failure up to LOGIN_DELAY_MAX_MS; LOGIN_LOCKOUT_THRESHOLD
+  // failures lock the account for LOGIN_LOCKOUT_MS
+  LOGIN_FAILURE_WINDOW_MS: Number(process.env.LOGIN_FAILURE_WINDOW_MS) || 15 * 60 * 1000,
+  LOGIN_DELAY_AFTER: Number(process.env.LOGIN_DELAY_AFTER) || 3,
+  LOGIN_DELAY_BASE_MS: Number(process.env.LOGIN_DELAY_BASE_MS) || 1000,
+  LOGIN_DELAY_MAX_MS: Number(process.env.LOGIN_DELAY_MAX_MS) || 30 * 1000,
+  LOGIN_LOCKOUT_THRESHOLD: Number(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10,
+  LOGIN_LOCKOUT_MS: Number(process.env.LOGIN_LOCKOUT_MS) || 15 * 60 * 1000,
+
+  // Role given to self-registered and admin-created users unless another is assigned
+  DEFAULT_ROLE: process.env.DEFAULT_ROLE || 'viewer',
+
+  // bcrypt cost for new hashes; existing hashes with a lower cost are
+  // re-hashed at this cost the next time their user logs in
+  BCRYPT_ROUNDS: Number(process.env.BCRYPT_ROUNDS) || 12,
+
+  // Password policy for new passwords: minimum length, how many of the four
+  // character classes (lower case, upper case, digits, symbols) must appear,
+  // and a file of common or breached passwords to refuse, one per line
+  PASSWORD_MIN_LENGTH: Number(process.env.PASSWORD_MIN_LENGTH) || 10,
+  PASSWORD_MIN_CLASSES: Number(process.env.PASSWORD_MIN_CLASSES) || 3,
+  PASSWORD_BLOCKLIST_FILE: process.env.PASSWORD_BLOCKLIST_FILE || path.join(__dirname, 'common-passwords.txt'),
+  // Admin-issued password reset tokens are valid for this many seconds
+  PASSWORD_RESET_TTL: Number(process.env.PASSWORD_RESET_TTL) || 60 * 60,
+
+  // Two-factor authentication: issuer name shown in authenticator apps, how
+  // many 30-second steps either side of now a code is accepted for, how long
+  // (seconds) a login has to complete its code step, and how many recovery
+  // codes a user gets
+  TOTP_ISSUER: process.env.TOTP_ISSUER || 'Movie List',
+  TOTP_WINDOW: Number(process.env.TOTP_WINDOW ?? 1),
+  TWO_FACTOR_CHALLENGE_TTL: Number(process.env.TWO_FACTOR_CHALLENGE_TTL) || 5 * 60,
+  TWO_FACTOR_MAX_ATTEMPTS: Number(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5,
+  RECOVERY_CODE_COUNT: Number(process.env.RECOVERY_CODE_COUNT) || 10,
+
+  // Username/password login and self-registration; set to false once
+  // everyone signs in through OpenID Connect
+  LOCAL_LOGIN_ENABLED: process.env.LOCAL_LOGIN_ENABLED !== 'false',
+
+  // OpenID Connect single sign-on, enabled when OIDC_ISSUER is set. The
+  // redirect URI defaults to /api/auth/oidc/callback on the host the login
+  // started from and must be registered with the provider.
+  OIDC_ISSUER: process.env.OIDC_ISSUER,
+  OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID,
+  OIDC_CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET,
+  OIDC_REDIRECT_URI: process.env.OIDC_REDIRECT_URI,
+  OIDC_SCOPES: process.env.OIDC_SCOPES || 'openid profile email groups',
+  // Label of the sign-in button
+  OIDC_PROVIDER_NAME: process.env.OIDC_PROVIDER_NAME || 'Single sign-on',
+  // Claims holding the username and the user's groups
+  OIDC_USERNAME_CLAIM: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+  OIDC_GROUPS_CLAIM: process.env.OIDC_GROUPS_CLAIM || 'groups',
+  // Members of these groups (comma-separated) get the admin role, and lose it
+  // when they leave; without any groups set, admin is managed locally
+  OIDC_ADMIN_GROUPS: (process.env.OIDC_ADMIN_GROUPS || '').split(',').map((group) => group.trim()).filter(Boolean),
+  // Claim whose value names the existing local account a first SSO login is
+  // linked to, instead of provisioning a separate one. Must be a claim users
+  // cannot change at the provider (never preferred_username or an unverified
+  // email); unset, nothing is linked
+  OIDC_LINK_CLAIM: process.env.OIDC_LINK_CLAIM,
+  // SSO logins ask for the local second factor like password logins do (for
+  // users who enabled it or whose role requires it); true leaves it to the provider
+  OIDC_SKIP_TWO_FACTOR: process.env.OIDC_SKIP_TWO_FACTOR === 'true',
+  // Seconds a started sign-in has to come back to the callback
+  OIDC_STATE_TTL: Number(process.env.OIDC_STATE_TTL) || 10 * 60,
+  // Allowed clock difference, in seconds, when checking ID token times
+  OIDC_CLOCK_SKEW: Number(process.env.OIDC_CLOCK_SKEW) || 60,
+
+  // Personal API keys a user may hold at once
+  API_KEYS_PER_USER: Number(process.env.API_KEYS_PER_USER) || 20,
 
   ADMIN_USERNAME: process.env.ADMIN_USERNAME,
   ADMIN_PASSWORD: process.env.ADMIN_PASSWORD,
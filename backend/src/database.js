@@ -1,7 +1,185 @@
-const { Pool } = require('pg');
+const crypto = require('crypto');
+const { Pool, types } = require('pg');
+const QueryStream = require('pg-query-stream');
 const bcrypt = require('bcryptjs');
 const config = require('./config');
 
+// Return DATE columns (release_date) as 'YYYY-MM-DD' strings rather than
+// Dates at local midnight, which shift a day in some time zones
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
+// Optional catalogue metadata columns, written only when present in a payload
+const MOVIE_METADATA_FIELDS = [
+  'release_date', 'runtime_minutes', 'certification', 'original_language',
+  'country', 'imdb_id', 'tmdb_id', 'poster_url'
+];
+
+// Columns returned for movie rows (keeps the generated search_vector out of API responses).
+// cast and genres are read from the link tables; actor and genre are their
+// denormalized display text, kept for clients that predate the cast list.
+// rating_count and rating_average summarize the visible reviews (movie_ratings).
+const MOVIE_COLUMNS = `id, name, actor, genre, description, ${MOVIE_METADATA_FIELDS.join(', ')}, poster_images,
+  updated_by, created_at, updated_at, deleted_at, deleted_by, version,
+  COALESCE((SELECT json_agg(json_build_object('person_id', p.id, 'name', p.name,
+      'character', mc.character_name, 'billing_order', mc.billing_order) ORDER BY mc.billing_order)
+    FROM movie_cast mc JOIN people p ON p.id = mc.person_id WHERE mc.movie_id = movies.id), '[]') AS "cast",
+  COALESCE((SELECT json_agg(json_build_object('id', g.id, 'name', g.name, 'slug', g.slug) ORDER BY g.name)
+    FROM movie_genres mg JOIN genres g ON g.id = mg.genre_id WHERE mg.movie_id = movies.id), '[]') AS genres,
+  COALESCE((SELECT rating_count FROM movie_ratings WHERE movie_id = movies.id), 0) AS rating_count,
+  (SELECT rating_average::float8 FROM movie_ratings WHERE movie_id = movies.id) AS rating_average`;
+
+// Movie columns exposed through shared watchlist links and the watched log
+const SHARED_MOVIE_COLUMNS = `movies.id, movies.name, movies.release_date, movies.runtime_minutes,
+  movies.poster_url, movies.poster_images`;
+
+// Columns returned for watchlists; share_token is only ever sent to the owner
+const WATCHLIST_COLUMNS = `id, name, description, share_token, created_at, updated_at,
+  (SELECT COUNT(*)::int FROM watchlist_items WHERE watchlist_id = watchlists.id) AS item_count`;
+
+// Columns returned for API keys; the key hash never leaves the database
+const API_KEY_COLUMNS = `id, name, prefix, scope, expires_at, last_used_at, last_used_ip, created_at`;
+
+// Columns returned for reviews
+const REVIEW_COLUMNS = `id, movie_id, username, rating, body, created_at, updated_at,
+  hidden_at, hidden_by, hidden_reason`;
+
+// Revision filter: the movie ($1) is live, or $2 (include deleted) is true
+const REVISION_MOVIE_VISIBLE = `AND EXISTS (SELECT 1 FROM movies
+  WHERE movies.id = movie_revisions.movie_id AND ($2::boolean OR movies.deleted_at IS NULL))`;
+
+// Fields captured in movie revision snapshots and compared to find changed fields
+const REVISION_FIELDS = ['name', 'actor', 'genre', 'cast', 'genres', 'description', ...MOVIE_METADATA_FIELDS, 'deleted'];
+
+// cast and genres are stored as references (with names for readability), so
+// a snapshot can be sent straight back to updateMovie() to revert
+const movieSnapshot = (row) => ({
+  name: row.name,
+  actor: row.actor,
+  genre: row.genre,
+  cast: row.cast.map(({ person_id, name, character }) => ({ person_id, name, character })),
+  genres: row.genres.map(({ id, name }) => ({ id, name })),
+  description: row.description,
+  ...Object.fromEntries(MOVIE_METADATA_FIELDS.map((field) => [field, row[field]])),
+  poster_images: row.poster_images,
+  deleted: Boolean(row.deleted_at)
+});
+
+// Unguessable token for a watchlist share link
+const newShareToken = () => crypto.randomBytes(24).toString('base64url');
+
+// Signing secret for a webhook
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+// Webhook fields returned to admins; the secret is only shown when it is created or rotated
+const WEBHOOK_COLUMNS = 'id, url, events, description, active, created_by, created_at, updated_at';
+
+// Genre key that ignores case, spacing and punctuation: "Sci-Fi" and "sci fi" are both "sci-fi"
+const genreSlug = (name) => name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '');
+
+// "field = $n" assignments for the metadata fields present in a payload, numbered
+// from firstParam; absent fields are left untouched so older clients keep them.
+// Uploaded poster files (poster_images) are set by revision snapshots; other
+// payloads keep them only while poster_url still points at the upload.
+const metadataAssignments = (movie, firstParam) => {
+  const fields = MOVIE_METADATA_FIELDS.filter((field) => movie[field] !== undefined);
+  const sql = fields.map((field, index) => `, ${field} = $${firstParam + index}`);
+  const values = fields.map((field) => movie[field]);
+  if (movie.poster_images !== undefined) {
+    sql.push(`, poster_images = $${firstParam + values.length}`);
+    values.push(movie.poster_images);
+  } else if (movie.poster_url !== undefined) {
+    sql.push(`, poster_images = CASE WHEN poster_images->>'original' IS NOT DISTINCT FROM $${firstParam + fields.indexOf('poster_url')}
+      THEN poster_images END`);
+  }
+  return { sql: sql.join(''), values };
+};
+
+// Splits legacy comma-separated actor/genre text into distinct trimmed names
+const splitNames = (text = '') => [...new Set(text.split(',').map((name) => name.trim()).filter(Boolean))];
+
+// Field-level diff between two snapshots: { field: { from, to } } for every field that differs
+const diffSnapshots = (before, after) => {
+  const changes = {};
+  for (const field of REVISION_FIELDS) {
+    const from = before ? before[field] : undefined;
+    const to = after[field];
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from: from === undefined ? null : from, to };
+    }
+  }
+  return changes;
+};
+
+// Columns the movie listing may be sorted by; anything else falls back to created_at
+const MOVIE_SORT_COLUMNS = {
+  name: 'name',
+  actor: 'actor',
+  genre: 'genre',
+  release_date: 'release_date',
+  runtime_minutes: 'runtime_minutes',
+  created_at: 'created_at',
+  updated_at: 'updated_at'
+};
+
+// WHERE clause, parameters and ORDER BY for the movie listing filters and sort
+const buildMovieQuery = ({ sort = '-created_at', ...filters } = {}) => {
+  const conditions = ['deleted_at IS NULL'];
+  const params = [];
+  const addCondition = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+  // Inclusive upper bound on a timestamp: a bare date ("2024-05-04") takes in
+  // the whole day, so it becomes "before the next midnight"
+  const addUpperBound = (column, value) => {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      addCondition(`${column} < ?`, new Date(Date.parse(value) + 24 * 60 * 60 * 1000));
+    } else {
+      addCondition(`${column} <= ?`, new Date(value));
+    }
+  };
+
+  if (filters.genre) {
+    addCondition(`id IN (SELECT mg.movie_id FROM movie_genres mg
+      JOIN genres g ON g.id = mg.genre_id WHERE g.slug = ?)`, genreSlug(filters.genre));
+  }
+  if (filters.actor) {
+    addCondition(`id IN (SELECT mc.movie_id FROM movie_cast mc
+      JOIN people p ON p.id = mc.person_id WHERE lower(p.name) = lower(?))`, filters.actor);
+  }
+  if (filters.updated_by) addCondition('updated_by = ?', filters.updated_by);
+  if (filters.year) {
+    // A range rather than EXTRACT(YEAR ...) so the release_date index applies
+    addCondition('release_date >= make_date(?, 1, 1)', filters.year);
+    addCondition('release_date < make_date(?, 1, 1)', filters.year + 1);
+  }
+  if (filters.released_from) addCondition('release_date >= ?', filters.released_from);
+  if (filters.released_to) addCondition('release_date <= ?', filters.released_to);
+  if (filters.runtime_min) addCondition('runtime_minutes >= ?', filters.runtime_min);
+  if (filters.runtime_max) addCondition('runtime_minutes <= ?', filters.runtime_max);
+  if (filters.certification) addCondition('certification = ?', filters.certification);
+  if (filters.language) addCondition('original_language = ?', filters.language);
+  if (filters.country) addCondition('country = ?', filters.country);
+  if (filters.imdb_id) addCondition('imdb_id = ?', filters.imdb_id);
+  if (filters.tmdb_id) addCondition('tmdb_id = ?', filters.tmdb_id);
+  if (filters.created_from) addCondition('created_at >= ?', filters.created_from);
+  if (filters.created_to) addUpperBound('created_at', filters.created_to);
+  if (filters.updated_from) addCondition('updated_at >= ?', filters.updated_from);
+  if (filters.updated_to) addUpperBound('updated_at', filters.updated_to);
+
+  const descending = sort.startsWith('-');
+  const sortColumn = MOVIE_SORT_COLUMNS[descending ? sort.slice(1) : sort] || 'created_at';
+  const direction = descending ? 'DESC' : 'ASC';
+  // Movies without a release date or runtime sort after the rest either way
+  const nulls = ['release_date', 'runtime_minutes'].includes(sortColumn) ? ' NULLS LAST' : '';
+
+  return {
+    where: conditions.join(' AND '),
+    params,
+    orderBy: `${sortColumn} ${direction}${nulls}, id ${direction}`
+  };
+};
+
 class Database {
   constructor() {
     // Pool for users database
@@ -24,15 +202,25 @@ class Database {
   }
 
   // User operations
-  async createUser(username, password, isAdmin = false) {
+  async createUser(username, password, roles = [config.DEFAULT_ROLE]) {
     const hashedPassword = await bcrypt.hash(password, config.BCRYPT_ROUNDS);
     const client = await this.usersPool.connect();
     try {
+      await client.query('BEGIN');
       const result = await client.query(
-        `INSERT INTO users (username, password, is_admin) VALUES ($1, $2, $3) RETURNING id, username`,
-        [username, hashedPassword, isAdmin]
+        `INSERT INTO users (username, password) VALUES ($1, $2) RETURNING id, username`,
+        [username, hashedPassword]
       );
-      return result.rows[0];
+      await client.query(
+        `INSERT INTO user_roles (user_id, role_id)
+          SELECT $1, id FROM roles WHERE name = ANY($2::text[])`,
+        [result.rows[0].id, roles]
+      );
+      await client.query('COMMIT');
+      return { ...result.rows[0], roles };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
     } finally {
       client.release();
     }
@@ -51,6 +239,20 @@ class Database {
     }
   }
 
+  async updateUserPassword(username, password) {
+    const hashedPassword = await bcrypt.hash(password, config.BCRYPT_ROUNDS);
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        'UPDATE users SET password = $1 WHERE username = $2',
+        [hashedPassword, username]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
   async deleteUser(username) {
     const client = await this.usersPool.connect();
     try {
@@ -67,8 +269,17 @@ class Database {
   async getAllUsers() {
     const client = await this.usersPool.connect();
     try {
+      // is_admin is derived from roles for clients written against the old flag
       const result = await client.query(
-        'SELECT id, username, is_admin, created_at FROM users ORDER BY created_at DESC'
+        `SELECT u.id, u.username, u.created_at, u.totp_enabled AS two_factor_enabled,
+            u.oidc_subject IS NOT NULL AS single_sign_on,
+            COALESCE(array_agg(r.name ORDER BY r.name) FILTER (WHERE r.name IS NOT NULL), '{}') AS roles,
+            COALESCE(bool_or(r.name = 'admin'), FALSE) AS is_admin
+          FROM users u
+          LEFT JOIN user_roles ur ON ur.user_id = u.id
+          LEFT JOIN roles r ON r.id = ur.role_id
+          GROUP BY u.id
+          ORDER BY u.created_at DESC`
       );
       return result.rows;
     } finally {
@@ -76,14 +287,277 @@ class Database {
     }
   }
 
-  // Movie operations
-  async createMovie(movie, updatedBy) {
-    const client = await this.moviesPool.connect();
+  // Role and permission operations
+  async getUserAuthorization(userId) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT r.name AS role, p.name AS permission
+          FROM user_roles ur
+          JOIN roles r ON r.id = ur.role_id
+          LEFT JOIN role_permissions rp ON rp.role_id = r.id
+          LEFT JOIN permissions p ON p.id = rp.permission_id
+          WHERE ur.user_id = $1`,
+        [userId]
+      );
+      const roles = [...new Set(result.rows.map((row) => row.role))].sort();
+      const permissions = [...new Set(result.rows.map((row) => row.permission).filter(Boolean))].sort();
+      return { roles, permissions };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Adds a role without touching the user's other roles
+  async addUserRole(username, role) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO user_roles (user_id, role_id)
+          SELECT u.id, r.id FROM users u, roles r WHERE u.username = $1 AND r.name = $2
+          ON CONFLICT DO NOTHING`,
+        [username, role]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Removes one role, leaving the others; false if the user did not have it
+  async removeUserRole(username, role) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `DELETE FROM user_roles ur USING users u, roles r
+          WHERE ur.user_id = u.id AND ur.role_id = r.id AND u.username = $1 AND r.name = $2`,
+        [username, role]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getRoles() {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT r.name, r.description, r.require_two_factor,
+            COALESCE(array_agg(p.name ORDER BY p.name) FILTER (WHERE p.name IS NOT NULL), '{}') AS permissions
+          FROM roles r
+          LEFT JOIN role_permissions rp ON rp.role_id = r.id
+          LEFT JOIN permissions p ON p.id = rp.permission_id
+          GROUP BY r.id
+          ORDER BY r.id`
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Replaces a user's roles. Resolves to null if the user does not exist,
+  // otherwise to { updated, unknownRoles }; nothing changes if a role is unknown.
+  async setUserRoles(username, roles) {
+    const client = await this.usersPool.connect();
+    try {
+      await client.query('BEGIN');
+      const user = await client.query('SELECT id FROM users WHERE username = $1', [username]);
+      if (user.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      const found = await client.query('SELECT id, name FROM roles WHERE name = ANY($1::text[])', [roles]);
+      const unknown = roles.filter((role) => !found.rows.some((row) => row.name === role));
+      if (unknown.length > 0) {
+        await client.query('ROLLBACK');
+        return { updated: false, unknownRoles: unknown };
+      }
+      await client.query('DELETE FROM user_roles WHERE user_id = $1', [user.rows[0].id]);
+      await client.query(
+        'INSERT INTO user_roles (user_id, role_id) SELECT $1, unnest($2::int[])',
+        [user.rows[0].id, found.rows.map((row) => row.id)]
+      );
+      await client.query('COMMIT');
+      return { updated: true, unknownRoles: [] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Turns the two-factor requirement of a role on or off; false if there is no such role
+  async setRoleTwoFactor(name, required) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        'UPDATE roles SET require_two_factor = $2 WHERE name = $1',
+        [name, required]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Whether any of the user's roles requires two-factor authentication
+  async twoFactorRequiredFor(userId) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT EXISTS (
+            SELECT 1 FROM user_roles ur
+            JOIN roles r ON r.id = ur.role_id
+            WHERE ur.user_id = $1 AND r.require_two_factor
+          ) AS required`,
+        [userId]
+      );
+      return result.rows[0].required;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Two-factor operations. Enrolment stores a pending secret first; it only
+  // takes effect once enableTwoFactor confirms a code generated from it.
+  async setPendingTotpSecret(userId, secret) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE users SET totp_secret = $2, totp_last_step = NULL
+          WHERE id = $1 AND NOT totp_enabled`,
+        [userId, secret]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Turns two-factor on and replaces the recovery codes; false if it was
+  // already on or no secret is pending
+  async enableTwoFactor(userId, step, recoveryCodeHashes) {
+    const client = await this.usersPool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE users SET totp_enabled = TRUE, totp_enabled_at = CURRENT_TIMESTAMP, totp_last_step = $2
+          WHERE id = $1 AND NOT totp_enabled AND totp_secret IS NOT NULL`,
+        [userId, step]
+      );
+      if (result.rowCount === 0) {
+        await client.query('ROLLBACK');
+        return false;
+      }
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query(
+        'INSERT INTO user_recovery_codes (user_id, code_hash) SELECT $1, unnest($2::text[])',
+        [userId, recoveryCodeHashes]
+      );
+      await client.query('COMMIT');
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Turns two-factor off, forgetting the secret and the recovery codes
+  async disableTwoFactor(userId) {
+    const client = await this.usersPool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE users SET totp_enabled = FALSE, totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL
+          WHERE id = $1`,
+        [userId]
+      );
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query('COMMIT');
+      return result.rowCount > 0;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Records a TOTP code's time step as used. False if that step or a later
+  // one was already used, so each code works once.
+  async useTotpStep(userId, step) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE users SET totp_last_step = $2
+          WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)`,
+        [userId, step]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  async replaceRecoveryCodes(userId, recoveryCodeHashes) {
+    const client = await this.usersPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+      await client.query(
+        'INSERT INTO user_recovery_codes (user_id, code_hash) SELECT $1, unnest($2::text[])',
+        [userId, recoveryCodeHashes]
+      );
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Marks an unused recovery code as used; false if there is no such code
+  async useRecoveryCode(userId, codeHash) {
+    const client = await this.usersPool.connect();
     try {
       const result = await client.query(
-        `INSERT INTO movies (name, actor, genre, description, updated_by) 
-         VALUES ($1, $2, $3, $4, $5) RETURNING id, name, actor, genre, description`,
-        [movie.name, movie.actor, movie.genre, movie.description, updatedBy]
+        `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+          WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+        [userId, codeHash]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  async countRecoveryCodes(userId) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        'SELECT COUNT(*)::int AS remaining FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+        [userId]
+      );
+      return result.rows[0].remaining;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Single sign-on operations. Users are matched on the provider's issuer and
+  // subject; usernames are only chosen once, when the user is first seen.
+  async findUserByOidcIdentity(issuer, subject) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM users WHERE oidc_issuer = $1 AND oidc_subject = $2',
+        [issuer, subject]
       );
       return result.rows[0];
     } finally {
@@ -91,11 +565,55 @@ class Database {
     }
   }
 
-  async getAllMovies() {
-    const client = await this.moviesPool.connect();
+  // Creates a user without a local password
+  async createOidcUser(username, { issuer, subject }, roles = [config.DEFAULT_ROLE]) {
+    const client = await this.usersPool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO users (username, password, oidc_issuer, oidc_subject)
+          VALUES ($1, NULL, $2, $3) RETURNING *`,
+        [username, issuer, subject]
+      );
+      await client.query(
+        `INSERT INTO user_roles (user_id, role_id)
+          SELECT $1, id FROM roles WHERE name = ANY($2::text[])`,
+        [result.rows[0].id, roles]
+      );
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Links an existing local account to a provider identity; false if the
+  // account is already linked to one
+  async linkOidcIdentity(userId, issuer, subject) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE users SET oidc_issuer = $2, oidc_subject = $3
+          WHERE id = $1 AND oidc_subject IS NULL`,
+        [userId, issuer, subject]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // API key operations. Keys are looked up by hash on every request they
+  // authenticate, together with the owner's current roles and permissions.
+  async getApiKeys(userId) {
+    const client = await this.usersPool.connect();
     try {
       const result = await client.query(
-        'SELECT * FROM movies ORDER BY created_at DESC'
+        `SELECT ${API_KEY_COLUMNS} FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+        [userId]
       );
       return result.rows;
     } finally {
@@ -103,19 +621,1435 @@ class Database {
     }
   }
 
-  async updateMovie(id, movie, updatedBy) {
-    const client = await this.moviesPool.connect();
+  // Resolves to the new key's row, or null when the user already holds
+  // maxKeys keys. The per-user count is checked under a lock on the user.
+  async createApiKey(userId, { name, scope, expiresAt = null }, { prefix, hash }, maxKeys) {
+    const client = await this.usersPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      const count = await client.query('SELECT COUNT(*)::int AS count FROM api_keys WHERE user_id = $1', [userId]);
+      if (count.rows[0].count >= maxKeys) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+      const result = await client.query(
+        `INSERT INTO api_keys (user_id, name, prefix, key_hash, scope, expires_at)
+          VALUES ($1, $2, $3, $4, $5, $6) RETURNING ${API_KEY_COLUMNS}`,
+        [userId, name, prefix, hash, scope, expiresAt]
+      );
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteApiKey(userId, id) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        'DELETE FROM api_keys WHERE user_id = $1 AND id = $2',
+        [userId, id]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Revokes every key of a user; resolves to the number revoked
+  async deleteUserApiKeys(username) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        'DELETE FROM api_keys USING users u WHERE api_keys.user_id = u.id AND u.username = $1',
+        [username]
+      );
+      return result.rowCount;
+    } finally {
+      client.release();
+    }
+  }
+
+  // The key with this hash and its owner's roles and permissions; expired
+  // keys are returned too, flagged, so the caller can tell them apart
+  async findApiKey(keyHash) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT k.id, k.name, k.scope, k.user_id, u.username,
+            (k.expires_at IS NOT NULL AND k.expires_at <= CURRENT_TIMESTAMP) AS expired,
+            COALESCE(array_agg(DISTINCT r.name) FILTER (WHERE r.name IS NOT NULL), '{}') AS roles,
+            COALESCE(array_agg(DISTINCT p.name) FILTER (WHERE p.name IS NOT NULL), '{}') AS permissions
+          FROM api_keys k
+          JOIN users u ON u.id = k.user_id
+          LEFT JOIN user_roles ur ON ur.user_id = u.id
+          LEFT JOIN roles r ON r.id = ur.role_id
+          LEFT JOIN role_permissions rp ON rp.role_id = r.id
+          LEFT JOIN permissions p ON p.id = rp.permission_id
+          WHERE k.key_hash = $1
+          GROUP BY k.id, u.id`,
+        [keyHash]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // Records a key's use. Written at most once a minute per key, so busy
+  // scripts do not turn every request into a write.
+  async touchApiKey(id, ip) {
+    const client = await this.usersPool.connect();
+    try {
+      await client.query(
+        `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+          WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+        [id, ip]
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  // Whether a key still exists and has not expired
+  async isApiKeyActive(id) {
+    const client = await this.usersPool.connect();
     try {
       const result = await client.query(
-        `UPDATE movies SET name = $1, actor = $2, genre = $3, description = $4, 
-          updated_by = $5, updated_at = CURRENT_TIMESTAMP WHERE id = $6`,
-        [movie.name, movie.actor, movie.genre, movie.description, updatedBy, id]
+        'SELECT 1 FROM api_keys WHERE id = $1 AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)',
+        [id]
       );
       return result.rowCount > 0;
     } finally {
       client.release();
     }
   }
+
+  // Webhook operations (users database)
+  async getWebhooks() {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id`);
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  // A webhook; withSecret adds the signing secret for deliveries
+  async getWebhook(id, { withSecret = false } = {}) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${WEBHOOK_COLUMNS}${withSecret ? ', secret' : ''} FROM webhooks WHERE id = $1`,
+        [id]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  async getActiveWebhooks() {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE active ORDER BY id`);
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  async createWebhook({ url, events, description, active }, createdBy) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO webhooks (url, events, description, active, secret, created_by)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          RETURNING ${WEBHOOK_COLUMNS}, secret`,
+        [url, events, description || null, active, newWebhookSecret(), createdBy]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // Changes the given fields (others are kept); rotate_secret replaces the
+  // secret, which is then included in the result. Resolves to undefined if
+  // the webhook does not exist.
+  async updateWebhook(id, { url, events, description, active, rotate_secret: rotateSecret }) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE webhooks SET
+            url = COALESCE($1, url),
+            events = COALESCE($2, events),
+            description = CASE WHEN $3::boolean THEN $4 ELSE description END,
+            active = COALESCE($5, active),
+            secret = CASE WHEN $6::boolean THEN $7 ELSE secret END,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $8
+          RETURNING ${WEBHOOK_COLUMNS}${rotateSecret ? ', secret' : ''}`,
+        [url ?? null, events ?? null, description !== undefined, description || null, active ?? null,
+          Boolean(rotateSecret), newWebhookSecret(), id]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteWebhook(id) {
+    const client = await this.usersPool.connect();
+    try {
+      const result = await client.query('DELETE FROM webhooks WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Movie operations
+
+  // Runs fn(client) inside a transaction on the movies database
+  async moviesTransaction(fn) {
+    const client = await this.moviesPool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Appends the next revision for a movie row that the caller has just written
+  // (and therefore holds a row lock on) within the same transaction
+  async recordRevision(client, row, action, changedBy, revertedTo = null) {
+    const previous = await client.query(
+      `SELECT revision, snapshot FROM movie_revisions
+        WHERE movie_id = $1 ORDER BY revision DESC LIMIT 1`,
+      [row.id]
+    );
+    const last = previous.rows[0];
+    const snapshot = movieSnapshot(row);
+    const changedFields = Object.keys(diffSnapshots(last && last.snapshot, snapshot));
+
+    const result = await client.query(
+      `INSERT INTO movie_revisions (movie_id, revision, action, snapshot, changed_fields, reverted_to, changed_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING revision`,
+      [row.id, last ? last.revision + 1 : 1, action, snapshot, changedFields, revertedTo, changedBy]
+    );
+    return result.rows[0].revision;
+  }
+
+  // Cast and genre ids in a movie payload that do not exist: { people, genres }
+  async findMissingCredits(movie, client = null) {
+    const personIds = (movie.cast || []).map((member) => member.person_id);
+    const genreIds = (movie.genres || []).map((genre) => (typeof genre === 'object' ? genre.id : genre));
+
+    const conn = client || await this.moviesPool.connect();
+    try {
+      const result = await conn.query(
+        `SELECT
+          ARRAY(SELECT id FROM unnest($1::int[]) AS id WHERE id NOT IN (SELECT id FROM people)) AS people,
+          ARRAY(SELECT id FROM unnest($2::int[]) AS id WHERE id NOT IN (SELECT id FROM genres)) AS genres`,
+        [personIds, genreIds]
+      );
+      return result.rows[0];
+    } finally {
+      if (!client) conn.release();
+    }
+  }
+
+  // Finds people by case-insensitive name, creating the ones that do not exist yet
+  async resolvePeople(client, names) {
+    const ids = [];
+    for (const name of names) {
+      const existing = await client.query(
+        'SELECT id FROM people WHERE lower(name) = lower($1) ORDER BY id LIMIT 1',
+        [name]
+      );
+      const row = existing.rows[0] || (await client.query(
+        'INSERT INTO people (name) VALUES ($1) RETURNING id',
+        [name]
+      )).rows[0];
+      ids.push(row.id);
+    }
+    return ids;
+  }
+
+  // Finds genres by slug, creating the ones that do not exist yet
+  async resolveGenres(client, names) {
+    const ids = [];
+    for (const name of names) {
+      const slug = genreSlug(name);
+      if (!slug) continue;
+      await client.query(
+        'INSERT INTO genres (name, slug) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING',
+        [name, slug]
+      );
+      const result = await client.query('SELECT id FROM genres WHERE slug = $1', [slug]);
+      ids.push(result.rows[0].id);
+    }
+    return ids;
+  }
+
+  // Rebuilds the denormalized actor/genre display text of the given movies from their links
+  async refreshMovieCreditText(client, movieIds) {
+    await client.query(
+      `UPDATE movies SET
+        actor = LEFT(COALESCE((SELECT string_agg(p.name, ', ' ORDER BY mc.billing_order)
+          FROM movie_cast mc JOIN people p ON p.id = mc.person_id WHERE mc.movie_id = movies.id), ''), 200),
+        genre = LEFT(COALESCE((SELECT string_agg(g.name, ', ' ORDER BY g.name)
+          FROM movie_genres mg JOIN genres g ON g.id = mg.genre_id WHERE mg.movie_id = movies.id), ''), 100)
+        WHERE id = ANY($1::int[])`,
+      [movieIds]
+    );
+  }
+
+  /**
+   * Replace a movie's cast and genre links from a movie payload. cast and
+   * genres hold references ({ person_id, character } and genre ids); when a
+   * payload only has the legacy actor/genre text, the comma-separated names
+   * are looked up (and created if new) instead.
+   * @throws {Error} When the payload references people or genres that do not exist
+   */
+  async writeMovieCredits(client, movieId, movie) {
+    const cast = movie.cast
+      ? movie.cast.map((member) => ({ personId: member.person_id, character: member.character || null }))
+      : (await this.resolvePeople(client, splitNames(movie.actor))).map((personId) => ({ personId, character: null }));
+    const genreIds = movie.genres
+      ? movie.genres.map((genre) => (typeof genre === 'object' ? genre.id : genre))
+      : await this.resolveGenres(client, splitNames(movie.genre));
+
+    const missing = await this.findMissingCredits({ cast: movie.cast, genres: movie.genres }, client);
+    if (missing.people.length > 0 || missing.genres.length > 0) {
+      throw new Error(`Unknown references: people [${missing.people}], genres [${missing.genres}]`);
+    }
+
+    await client.query('DELETE FROM movie_cast WHERE movie_id = $1', [movieId]);
+    await client.query('DELETE FROM movie_genres WHERE movie_id = $1', [movieId]);
+    await client.query(
+      `INSERT INTO movie_cast (movie_id, person_id, character_name, billing_order)
+        SELECT $1, person_id, character_name, billing_order
+        FROM unnest($2::int[], $3::text[]) WITH ORDINALITY AS c(person_id, character_name, billing_order)`,
+      [movieId, cast.map((member) => member.personId), cast.map((member) => member.character)]
+    );
+    await client.query(
+      `INSERT INTO movie_genres (movie_id, genre_id)
+        SELECT $1, genre_id FROM unnest($2::int[]) AS genre_id
+        ON CONFLICT DO NOTHING`,
+      [movieId, genreIds]
+    );
+    await this.refreshMovieCreditText(client, [movieId]);
+  }
+
+  // Re-reads a movie row (with its cast and genres) inside a transaction
+  async readMovieRow(client, id) {
+    const result = await client.query(`SELECT ${MOVIE_COLUMNS} FROM movies WHERE id = $1`, [id]);
+    return result.rows[0];
+  }
+
+  // Inserts a movie row and its cast and genre links; resolves to the new id
+  async insertMovieRow(client, movie, updatedBy) {
+    const placeholders = MOVIE_METADATA_FIELDS.map((field, index) => `$${index + 4}`).join(', ');
+    const result = await client.query(
+      `INSERT INTO movies (name, actor, genre, description, updated_by, ${MOVIE_METADATA_FIELDS.join(', ')}) 
+       VALUES ($1, '', '', $2, $3, ${placeholders}) RETURNING id`,
+      [movie.name, movie.description, updatedBy, ...MOVIE_METADATA_FIELDS.map((field) => movie[field] ?? null)]
+    );
+    const { id } = result.rows[0];
+    await this.writeMovieCredits(client, id, movie);
+    return id;
+  }
+
+  async createMovie(movie, updatedBy) {
+    return this.moviesTransaction(async (client) => {
+      const row = await this.readMovieRow(client, await this.insertMovieRow(client, movie, updatedBy));
+      await this.recordRevision(client, row, 'create', updatedBy);
+      const { id, name, actor, genre, cast, genres, description } = row;
+      const metadata = Object.fromEntries(MOVIE_METADATA_FIELDS.map((field) => [field, row[field]]));
+      return { id, name, actor, genre, cast, genres, description, ...metadata };
+    });
+  }
+
+  // Id of a live movie (other than excludeId) that already has the payload's imdb_id or tmdb_id
+  async findExternalIdOwner(movie, excludeId = null) {
+    if (!movie.imdb_id && !movie.tmdb_id) return null;
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT id FROM movies
+          WHERE deleted_at IS NULL AND ($3::int IS NULL OR id <> $3)
+            AND (imdb_id = $1 OR tmdb_id = $2)
+          LIMIT 1`,
+        [movie.imdb_id || null, movie.tmdb_id || null, excludeId]
+      );
+      return result.rows[0] ? result.rows[0].id : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getAllMovies() {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${MOVIE_COLUMNS} FROM movies WHERE deleted_at IS NULL ORDER BY created_at DESC`
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMovie(id) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${MOVIE_COLUMNS} FROM movies WHERE id = $1 AND deleted_at IS NULL`,
+        [id]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // Paginated listing with optional filters; returns the page plus the total match count
+  async getMovies({ page = 1, limit = 20, ...options } = {}) {
+    const { where, params, orderBy } = buildMovieQuery(options);
+
+    const client = await this.moviesPool.connect();
+    try {
+      const countResult = await client.query(
+        `SELECT COUNT(*)::int AS total FROM movies WHERE ${where}`,
+        params
+      );
+      const result = await client.query(
+        `SELECT ${MOVIE_COLUMNS} FROM movies WHERE ${where}
+          ORDER BY ${orderBy}
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit]
+      );
+      return { movies: result.rows, total: countResult.rows[0].total };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Streams the filtered catalogue row by row through a server-side cursor, so
+  // exports never hold the whole table in memory. The pooled client is
+  // released once the stream ends, fails or is destroyed.
+  async streamMovies(options = {}) {
+    const { where, params, orderBy } = buildMovieQuery(options);
+    const client = await this.moviesPool.connect();
+    const stream = client.query(new QueryStream(
+      `SELECT ${MOVIE_COLUMNS} FROM movies WHERE ${where} ORDER BY ${orderBy}`,
+      params,
+      { batchSize: 200 }
+    ));
+
+    let released = false;
+    const release = (error) => {
+      if (released) return;
+      released = true;
+      client.release(error);
+    };
+    stream.on('end', () => release());
+    stream.on('error', release);
+    stream.on('close', () => release());
+    return stream;
+  }
+
+  /**
+   * Import validated movies in a single transaction, matching existing movies
+   * by IMDb id, or by exact name when either side has no IMDb id. onConflict
+   * decides what happens on a match: 'skip' leaves the existing movie alone,
+   * 'update' overwrites it and 'error' fails the row.
+   * Nothing is committed if any row fails, and a dry run always rolls back.
+   * @param {Array<{row: number, movie: Object}>} rows - Validated rows with their 1-based position
+   * @param {Object} options - { onConflict, dryRun, importedBy }
+   * @returns {Promise<{results: Array, errors: Array, committed: boolean, replacedPosters: Array}>}
+   *   replacedPosters holds { previousImages, currentImages } for each updated
+   *   movie that had an uploaded poster, once committed
+   */
+  async importMovies(rows, { onConflict = 'skip', dryRun = false, importedBy }) {
+    const results = [];
+    const errors = [];
+    const replacedPosters = [];
+    const client = await this.moviesPool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const { row, movie } of rows) {
+        // A savepoint per row keeps one bad row from aborting the whole report
+        await client.query('SAVEPOINT import_row');
+        try {
+          const existing = await client.query(
+            `SELECT id, poster_images FROM movies
+              WHERE deleted_at IS NULL
+                AND (imdb_id = $2 OR (name = $1 AND (imdb_id IS NULL OR $2::text IS NULL)))
+              ORDER BY imdb_id = $2 DESC NULLS LAST, id LIMIT 1 FOR UPDATE`,
+            [movie.name, movie.imdb_id || null]
+          );
+          const match = existing.rows[0];
+
+          if (match && onConflict === 'skip') {
+            results.push({ row, action: 'skipped', id: match.id });
+          } else if (match && onConflict === 'error') {
+            errors.push({ row, error: `Movie "${movie.name}" already exists` });
+          } else if (match) {
+            const metadata = metadataAssignments(movie, 4);
+            await client.query(
+              `UPDATE movies SET description = $1, updated_by = $2${metadata.sql},
+                updated_at = CURRENT_TIMESTAMP, version = version + 1
+                WHERE id = $3`,
+              [movie.description, importedBy, match.id, ...metadata.values]
+            );
+            await this.writeMovieCredits(client, match.id, movie);
+            const updated = await this.readMovieRow(client, match.id);
+            await this.recordRevision(client, updated, 'import', importedBy);
+            results.push({ row, action: 'updated', id: match.id });
+            if (match.poster_images) {
+              replacedPosters.push({ previousImages: match.poster_images, currentImages: updated.poster_images });
+            }
+          } else {
+            const id = await this.insertMovieRow(client, movie, importedBy);
+            await this.recordRevision(client, await this.readMovieRow(client, id), 'import', importedBy);
+            results.push({ row, action: 'created', id });
+          }
+          await client.query('RELEASE SAVEPOINT import_row');
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT import_row');
+          errors.push({ row, error: error.message });
+        }
+      }
+
+      const committed = !dryRun && errors.length === 0;
+      await client.query(committed ? 'COMMIT' : 'ROLLBACK');
+      return { results, errors, committed, replacedPosters: committed ? replacedPosters : [] };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Ranked full-text search; every term is prefix-matched so "matr" finds "Matrix"
+  async searchMovies(q, { page = 1, limit = 20 } = {}) {
+    const terms = q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    if (terms.length === 0) {
+      return { movies: [], total: 0 };
+    }
+    const tsquery = terms.map((term) => `${term}:*`).join(' & ');
+
+    const client = await this.moviesPool.connect();
+    try {
+      const countResult = await client.query(
+        `SELECT COUNT(*)::int AS total FROM movies
+          WHERE deleted_at IS NULL AND search_vector @@ to_tsquery('english', $1)`,
+        [tsquery]
+      );
+      const result = await client.query(
+        `SELECT ${MOVIE_COLUMNS},
+            ts_rank(search_vector, query) AS rank,
+            ts_headline('english', name, query, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS name_highlight,
+            ts_headline('english', description, query,
+              'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2') AS snippet
+          FROM movies, to_tsquery('english', $1) AS query
+          WHERE deleted_at IS NULL AND search_vector @@ query
+          ORDER BY rank DESC, id DESC
+          LIMIT $2 OFFSET $3`,
+        [tsquery, limit, (page - 1) * limit]
+      );
+      return { movies: result.rows, total: countResult.rows[0].total };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Update a movie and record the revision. When expectedVersion is given the
+   * write only happens if the stored version still matches (optimistic locking).
+   * Resolves to null if the movie does not exist or is deleted, to
+   * { conflict: true, current } on a version mismatch, and otherwise to
+   * { revision, movie, previousImages } with the updated row and the
+   * poster_images it had before.
+   */
+  async updateMovie(id, movie, updatedBy, { action = 'update', revertedTo = null, expectedVersion = null } = {}) {
+    return this.moviesTransaction(async (client) => {
+      const previous = await client.query('SELECT poster_images FROM movies WHERE id = $1 FOR UPDATE', [id]);
+      const metadata = metadataAssignments(movie, 6);
+      const result = await client.query(
+        `UPDATE movies SET name = $1, description = $2${metadata.sql}, 
+          updated_by = $3, updated_at = CURRENT_TIMESTAMP, version = version + 1
+          WHERE id = $4 AND deleted_at IS NULL AND ($5::int IS NULL OR version = $5)
+          RETURNING id`,
+        [movie.name, movie.description, updatedBy, id, expectedVersion, ...metadata.values]
+      );
+      if (result.rowCount === 0) return this.versionConflict(client, id);
+      await this.writeMovieCredits(client, id, movie);
+      const row = await this.readMovieRow(client, id);
+      const revision = await this.recordRevision(client, row, action, updatedBy, revertedTo);
+      return { revision, movie: row, previousImages: previous.rows[0].poster_images };
+    });
+  }
+
+  // Outcome of a versioned write that matched no row: a conflict carrying the
+  // current row if the movie is live, otherwise null
+  async versionConflict(client, id) {
+    const current = await client.query(
+      `SELECT ${MOVIE_COLUMNS} FROM movies WHERE id = $1 AND deleted_at IS NULL`,
+      [id]
+    );
+    return current.rows[0] ? { conflict: true, current: current.rows[0] } : null;
+  }
+
+  // Points a movie at an uploaded poster (see posters.storePoster()) and records
+  // the revision; resolves like updateMovie(), plus the replaced poster_images
+  async setMoviePoster(id, images, updatedBy, expectedVersion = null) {
+    return this.moviesTransaction(async (client) => {
+      const previous = await client.query('SELECT poster_images FROM movies WHERE id = $1 FOR UPDATE', [id]);
+      const result = await client.query(
+        `UPDATE movies SET poster_url = $1, poster_images = $2,
+          updated_by = $3, updated_at = CURRENT_TIMESTAMP, version = version + 1
+          WHERE id = $4 AND deleted_at IS NULL AND ($5::int IS NULL OR version = $5)
+          RETURNING ${MOVIE_COLUMNS}`,
+        [images.original, images, updatedBy, id, expectedVersion]
+      );
+      if (result.rowCount === 0) return this.versionConflict(client, id);
+      const revision = await this.recordRevision(client, result.rows[0], 'poster', updatedBy);
+      return { revision, movie: result.rows[0], previousImages: previous.rows[0].poster_images };
+    });
+  }
+
+  // Soft delete: the row stays in place until purgeDeletedMovies() removes it
+  async deleteMovie(id, deletedBy) {
+    return this.moviesTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE movies SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1, version = version + 1
+          WHERE id = $2 AND deleted_at IS NULL
+          RETURNING ${MOVIE_COLUMNS}`,
+        [deletedBy, id]
+      );
+      if (result.rowCount === 0) return false;
+      await this.recordRevision(client, result.rows[0], 'delete', deletedBy);
+      return true;
+    });
+  }
+
+  async getDeletedMovies() {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${MOVIE_COLUMNS} FROM movies WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC`
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  async restoreMovie(id, restoredBy) {
+    return this.moviesTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE movies SET deleted_at = NULL, deleted_by = NULL, updated_by = $1, version = version + 1
+          WHERE id = $2 AND deleted_at IS NOT NULL
+          RETURNING ${MOVIE_COLUMNS}`,
+        [restoredBy, id]
+      );
+      const row = result.rows[0];
+      if (!row) return undefined;
+      await this.recordRevision(client, row, 'restore', restoredBy);
+      const { name, actor, genre, cast, genres, description } = row;
+      const metadata = Object.fromEntries(MOVIE_METADATA_FIELDS.map((field) => [field, row[field]]));
+      return { id: row.id, name, actor, genre, cast, genres, description, ...metadata, poster_images: row.poster_images };
+    });
+  }
+
+  // People operations
+  async getPeople({ q, page = 1, limit = 20 } = {}) {
+    const where = q ? 'WHERE lower(name) LIKE lower($1)' : '';
+    const params = q ? [`%${q.replace(/[\\%_]/g, '\\$&')}%`] : [];
+
+    const client = await this.moviesPool.connect();
+    try {
+      const countResult = await client.query(
+        `SELECT COUNT(*)::int AS total FROM people ${where}`,
+        params
+      );
+      const result = await client.query(
+        `SELECT id, name, created_at, updated_at,
+            (SELECT COUNT(DISTINCT movie_id)::int FROM movie_cast WHERE person_id = people.id) AS movie_count
+          FROM people ${where}
+          ORDER BY name, id
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit]
+      );
+      return { people: result.rows, total: countResult.rows[0].total };
+    } finally {
+      client.release();
+    }
+  }
+
+  // A person with the (non-deleted) movies they are credited in
+  async getPerson(id) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT id, name, created_at, updated_at,
+            COALESCE((SELECT json_agg(json_build_object('id', m.id, 'name', m.name,
+                'character', mc.character_name, 'billing_order', mc.billing_order) ORDER BY m.name)
+              FROM movie_cast mc JOIN movies m ON m.id = mc.movie_id
+              WHERE mc.person_id = people.id AND m.deleted_at IS NULL), '[]') AS movies
+          FROM people WHERE id = $1`,
+        [id]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  async createPerson(name) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        'INSERT INTO people (name) VALUES ($1) RETURNING id, name, created_at, updated_at',
+        [name]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // Renames a person and rebuilds the actor text of their movies. Resolves to
+  // undefined if the person does not exist, otherwise to { person, movieIds }.
+  async updatePerson(id, name) {
+    return this.moviesTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE people SET name = $1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2 RETURNING id, name, created_at, updated_at`,
+        [name, id]
+      );
+      if (result.rowCount === 0) return undefined;
+      const movies = await client.query(
+        'SELECT DISTINCT movie_id FROM movie_cast WHERE person_id = $1',
+        [id]
+      );
+      const movieIds = movies.rows.map((row) => row.movie_id);
+      await this.refreshMovieCreditText(client, movieIds);
+      return { person: result.rows[0], movieIds };
+    });
+  }
+
+  // Resolves to null if the person does not exist, to { deleted: false, movieCount }
+  // while they are still credited (trashed movies included), else to { deleted: true }
+  async deletePerson(id) {
+    return this.moviesTransaction(async (client) => {
+      const person = await client.query('SELECT id FROM people WHERE id = $1 FOR UPDATE', [id]);
+      if (person.rowCount === 0) return null;
+      const credits = await client.query(
+        'SELECT COUNT(DISTINCT movie_id)::int AS count FROM movie_cast WHERE person_id = $1',
+        [id]
+      );
+      if (credits.rows[0].count > 0) {
+        return { deleted: false, movieCount: credits.rows[0].count };
+      }
+      await client.query('DELETE FROM people WHERE id = $1', [id]);
+      return { deleted: true };
+    });
+  }
+
+  // Genre operations
+  async getGenres() {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT id, name, slug, created_at, updated_at,
+            (SELECT COUNT(*)::int FROM movie_genres WHERE genre_id = genres.id) AS movie_count
+          FROM genres ORDER BY name`
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getGenre(id) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        'SELECT id, name, slug, created_at, updated_at FROM genres WHERE id = $1',
+        [id]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // Resolves to { genre } or, when another genre already has the same slug, to { existing }
+  async createGenre(name) {
+    const slug = genreSlug(name);
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO genres (name, slug) VALUES ($1, $2)
+          ON CONFLICT (slug) DO NOTHING
+          RETURNING id, name, slug, created_at, updated_at`,
+        [name, slug]
+      );
+      if (result.rows[0]) return { genre: result.rows[0] };
+      const existing = await client.query('SELECT id, name, slug FROM genres WHERE slug = $1', [slug]);
+      return { existing: existing.rows[0] };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Renames a genre and rebuilds the genre text of its movies. Resolves to
+  // undefined if the genre does not exist, to { existing } if the new name
+  // collides with another genre, otherwise to { genre, movieIds }.
+  async updateGenre(id, name) {
+    const slug = genreSlug(name);
+    return this.moviesTransaction(async (client) => {
+      const clash = await client.query(
+        'SELECT id, name, slug FROM genres WHERE slug = $1 AND id <> $2',
+        [slug, id]
+      );
+      if (clash.rows[0]) return { existing: clash.rows[0] };
+      const result = await client.query(
+        `UPDATE genres SET name = $1, slug = $2, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $3 RETURNING id, name, slug, created_at, updated_at`,
+        [name, slug, id]
+      );
+      if (result.rowCount === 0) return undefined;
+      const movies = await client.query('SELECT movie_id FROM movie_genres WHERE genre_id = $1', [id]);
+      const movieIds = movies.rows.map((row) => row.movie_id);
+      await this.refreshMovieCreditText(client, movieIds);
+      return { genre: result.rows[0], movieIds };
+    });
+  }
+
+  // Same contract as deletePerson()
+  async deleteGenre(id) {
+    return this.moviesTransaction(async (client) => {
+      const genre = await client.query('SELECT id FROM genres WHERE id = $1 FOR UPDATE', [id]);
+      if (genre.rowCount === 0) return null;
+      const usage = await client.query(
+        'SELECT COUNT(*)::int AS count FROM movie_genres WHERE genre_id = $1',
+        [id]
+      );
+      if (usage.rows[0].count > 0) {
+        return { deleted: false, movieCount: usage.rows[0].count };
+      }
+      await client.query('DELETE FROM genres WHERE id = $1', [id]);
+      return { deleted: true };
+    });
+  }
+
+  // Review operations. Every review write first locks the movie's
+  // movie_ratings row, so writes to one movie's reviews run one at a time and
+  // the aggregate recomputed at the end sees every committed review.
+  async lockMovieRating(client, movieId) {
+    await client.query(
+      'INSERT INTO movie_ratings (movie_id) VALUES ($1) ON CONFLICT (movie_id) DO NOTHING',
+      [movieId]
+    );
+    await client.query('SELECT movie_id FROM movie_ratings WHERE movie_id = $1 FOR UPDATE', [movieId]);
+  }
+
+  // Recomputes a movie's rating aggregate from its visible reviews; resolves
+  // to { rating_count, rating_average }
+  async refreshMovieRating(client, movieId) {
+    const result = await client.query(
+      `UPDATE movie_ratings SET (rating_count, rating_average) = (
+          SELECT COUNT(*)::int, ROUND(AVG(rating), 2) FROM movie_reviews
+            WHERE movie_id = $1 AND hidden_at IS NULL)
+        WHERE movie_id = $1
+        RETURNING rating_count, rating_average::float8 AS rating_average`,
+      [movieId]
+    );
+    return result.rows[0];
+  }
+
+  // Resolves to null when the movie does not exist or is deleted
+  async getMovieReviews(movieId, { page = 1, limit = 20, includeHidden = false } = {}) {
+    const client = await this.moviesPool.connect();
+    try {
+      const movie = await client.query('SELECT id FROM movies WHERE id = $1 AND deleted_at IS NULL', [movieId]);
+      if (movie.rowCount === 0) return null;
+
+      const visibility = includeHidden ? '' : 'AND hidden_at IS NULL';
+      const count = await client.query(
+        `SELECT COUNT(*)::int AS total FROM movie_reviews WHERE movie_id = $1 ${visibility}`,
+        [movieId]
+      );
+      const result = await client.query(
+        `SELECT ${REVIEW_COLUMNS} FROM movie_reviews
+          WHERE movie_id = $1 ${visibility}
+          ORDER BY created_at DESC, id DESC
+          LIMIT $2 OFFSET $3`,
+        [movieId, limit, (page - 1) * limit]
+      );
+      return { reviews: result.rows, total: count.rows[0].total };
+    } finally {
+      client.release();
+    }
+  }
+
+  async getUserReview(movieId, username) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${REVIEW_COLUMNS} FROM movie_reviews
+          WHERE movie_id = $1 AND username = $2
+            AND EXISTS (SELECT 1 FROM movies WHERE id = $1 AND deleted_at IS NULL)`,
+        [movieId, username]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create or replace a user's review of a movie. A hidden review stays hidden
+   * when its author edits it.
+   * Resolves to null if the movie does not exist or is deleted, otherwise to
+   * { review, created, rating } where rating is the movie's new aggregate.
+   */
+  async saveReview(movieId, username, { rating, body }) {
+    return this.moviesTransaction(async (client) => {
+      // KEY SHARE keeps the movie from being purged without blocking editors
+      const movie = await client.query(
+        'SELECT id FROM movies WHERE id = $1 AND deleted_at IS NULL FOR KEY SHARE',
+        [movieId]
+      );
+      if (movie.rowCount === 0) return null;
+      await this.lockMovieRating(client, movieId);
+
+      const result = await client.query(
+        `INSERT INTO movie_reviews (movie_id, username, rating, body) VALUES ($1, $2, $3, $4)
+          ON CONFLICT (movie_id, username) DO UPDATE
+            SET rating = EXCLUDED.rating, body = EXCLUDED.body, updated_at = CURRENT_TIMESTAMP
+          RETURNING ${REVIEW_COLUMNS}, (xmax = 0) AS created`,
+        [movieId, username, rating, body || null]
+      );
+      const { created, ...review } = result.rows[0];
+      return { review, created, rating: await this.refreshMovieRating(client, movieId) };
+    });
+  }
+
+  // Resolves to null if the user has no review of the movie, otherwise to { rating }
+  async deleteReview(movieId, username) {
+    return this.moviesTransaction(async (client) => {
+      const movie = await client.query('SELECT id FROM movies WHERE id = $1 FOR KEY SHARE', [movieId]);
+      if (movie.rowCount === 0) return null;
+      await this.lockMovieRating(client, movieId);
+
+      const result = await client.query(
+        'DELETE FROM movie_reviews WHERE movie_id = $1 AND username = $2',
+        [movieId, username]
+      );
+      if (result.rowCount === 0) return null;
+      return { rating: await this.refreshMovieRating(client, movieId) };
+    });
+  }
+
+  // Hides or unhides a review; resolves to null if it does not exist, otherwise
+  // to { review, rating }
+  async setReviewHidden(reviewId, hidden, moderator, reason = null) {
+    return this.moviesTransaction(async (client) => {
+      const found = await client.query('SELECT movie_id FROM movie_reviews WHERE id = $1', [reviewId]);
+      if (found.rowCount === 0) return null;
+      const movieId = found.rows[0].movie_id;
+      await this.lockMovieRating(client, movieId);
+
+      const result = await client.query(
+        `UPDATE movie_reviews
+          SET hidden_at = CASE WHEN $2::boolean THEN COALESCE(hidden_at, CURRENT_TIMESTAMP) END,
+              hidden_by = CASE WHEN $2::boolean THEN $3 END,
+              hidden_reason = CASE WHEN $2::boolean THEN $4 END
+          WHERE id = $1
+          RETURNING ${REVIEW_COLUMNS}`,
+        [reviewId, hidden, moderator, reason || null]
+      );
+      if (result.rowCount === 0) return null;
+      return { review: result.rows[0], rating: await this.refreshMovieRating(client, movieId) };
+    });
+  }
+
+  // Removes every review by a user, for when the account is deleted from
+  // users-db (there is no foreign key to cascade across databases); resolves
+  // to the ids of the movies whose aggregates changed
+  async deleteUserReviews(username) {
+    return this.moviesTransaction(async (client) => {
+      const reviewed = await client.query(
+        'SELECT movie_id FROM movie_reviews WHERE username = $1 ORDER BY movie_id',
+        [username]
+      );
+      const movieIds = reviewed.rows.map((row) => row.movie_id);
+      // Locks are taken in movie id order so concurrent calls cannot deadlock
+      for (const movieId of movieIds) {
+        await this.lockMovieRating(client, movieId);
+      }
+      await client.query('DELETE FROM movie_reviews WHERE username = $1', [username]);
+      for (const movieId of movieIds) {
+        await this.refreshMovieRating(client, movieId);
+      }
+      return movieIds;
+    });
+  }
+
+  // Watchlist operations. Lists belong to a username and every lookup is
+  // scoped by it, so another user's list id behaves like a missing one.
+  async getWatchlists(username) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${WATCHLIST_COLUMNS} FROM watchlists WHERE username = $1 ORDER BY name`,
+        [username]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Items are the live movies of a list in list order (trashed movies
+  // reappear in place when restored)
+  async getWatchlistItems(client, watchlistId, columns = MOVIE_COLUMNS) {
+    const result = await client.query(
+      `SELECT ${columns}, wi.position, wi.added_at
+        FROM watchlist_items wi JOIN movies ON movies.id = wi.movie_id
+        WHERE wi.watchlist_id = $1 AND movies.deleted_at IS NULL
+        ORDER BY wi.position`,
+      [watchlistId]
+    );
+    return result.rows;
+  }
+
+  async getWatchlist(id, username) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${WATCHLIST_COLUMNS} FROM watchlists WHERE id = $1 AND username = $2`,
+        [id, username]
+      );
+      const list = result.rows[0];
+      if (!list) return undefined;
+      return { ...list, items: await this.getWatchlistItems(client, id) };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Read-only view of a shared list for anyone holding its link
+  async getSharedWatchlist(shareToken) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        'SELECT id, username, name, description, updated_at FROM watchlists WHERE share_token = $1',
+        [shareToken]
+      );
+      const list = result.rows[0];
+      if (!list) return undefined;
+      const { id, ...shared } = list;
+      return { ...shared, items: await this.getWatchlistItems(client, id, SHARED_MOVIE_COLUMNS) };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Resolves to { list }, or to { existing } if the user already has a list with that name
+  async createWatchlist(username, { name, description, shared }) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO watchlists (username, name, description, share_token) VALUES ($1, $2, $3, $4)
+          ON CONFLICT (username, name) DO NOTHING
+          RETURNING ${WATCHLIST_COLUMNS}`,
+        [username, name, description || null, shared ? newShareToken() : null]
+      );
+      if (result.rows[0]) return { list: result.rows[0] };
+      const existing = await client.query(
+        'SELECT id, name FROM watchlists WHERE username = $1 AND name = $2',
+        [username, name]
+      );
+      return { existing: existing.rows[0] };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Renames a list, edits its description or switches sharing on or off (a
+  // list shared again gets a new link); fields left out are kept. Resolves to
+  // undefined if the list does not exist, to { existing } on a name clash,
+  // otherwise to { list }.
+  async updateWatchlist(id, username, { name, description, shared }) {
+    const client = await this.moviesPool.connect();
+    try {
+      if (name !== undefined) {
+        const clash = await client.query(
+          'SELECT id, name FROM watchlists WHERE username = $1 AND name = $2 AND id <> $3',
+          [username, name, id]
+        );
+        if (clash.rows[0]) return { existing: clash.rows[0] };
+      }
+      const result = await client.query(
+        `UPDATE watchlists SET
+            name = COALESCE($1, name),
+            description = CASE WHEN $2::boolean THEN $3 ELSE description END,
+            share_token = CASE WHEN $4::boolean IS NULL THEN share_token
+              WHEN $4::boolean THEN COALESCE(share_token, $5) END,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $6 AND username = $7
+          RETURNING ${WATCHLIST_COLUMNS}`,
+        [name ?? null, description !== undefined, description || null, shared ?? null, newShareToken(), id, username]
+      );
+      return result.rows[0] && { list: result.rows[0] };
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteWatchlist(id, username) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        'DELETE FROM watchlists WHERE id = $1 AND username = $2',
+        [id, username]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Locks one of the user's lists for an item change; resolves to its last
+  // position (0 when empty) or null
+  async lockWatchlist(client, id, username) {
+    const result = await client.query(
+      `SELECT (SELECT COALESCE(MAX(position), 0) FROM watchlist_items WHERE watchlist_id = w.id) AS last_position
+        FROM watchlists w WHERE id = $1 AND username = $2 FOR UPDATE`,
+      [id, username]
+    );
+    return result.rows[0] ? result.rows[0].last_position : null;
+  }
+
+  // Closes the gaps left by removed items, so positions run 1..n again
+  async renumberWatchlists(client, ids) {
+    if (ids.length === 0) return;
+    await client.query(
+      `UPDATE watchlist_items wi SET position = ranked.position
+        FROM (SELECT watchlist_id, movie_id,
+            ROW_NUMBER() OVER (PARTITION BY watchlist_id ORDER BY position) AS position
+          FROM watchlist_items WHERE watchlist_id = ANY($1::int[])) ranked
+        WHERE wi.watchlist_id = ranked.watchlist_id AND wi.movie_id = ranked.movie_id
+          AND wi.position <> ranked.position`,
+      [ids]
+    );
+  }
+
+  /**
+   * Add a movie to a list at a 1-based position (default: the end).
+   * Resolves to undefined if the list does not exist, to { missingMovie }
+   * or { duplicate } when the movie cannot be added, otherwise to { position }.
+   */
+  async addWatchlistItem(id, username, movieId, position = null) {
+    return this.moviesTransaction(async (client) => {
+      const lastPosition = await this.lockWatchlist(client, id, username);
+      if (lastPosition === null) return undefined;
+
+      const movie = await client.query('SELECT id FROM movies WHERE id = $1 AND deleted_at IS NULL', [movieId]);
+      if (movie.rowCount === 0) return { missingMovie: true };
+      const existing = await client.query(
+        'SELECT 1 FROM watchlist_items WHERE watchlist_id = $1 AND movie_id = $2',
+        [id, movieId]
+      );
+      if (existing.rowCount > 0) return { duplicate: true };
+
+      const at = Math.min(position || lastPosition + 1, lastPosition + 1);
+      await client.query(
+        'UPDATE watchlist_items SET position = position + 1 WHERE watchlist_id = $1 AND position >= $2',
+        [id, at]
+      );
+      await client.query(
+        'INSERT INTO watchlist_items (watchlist_id, movie_id, position) VALUES ($1, $2, $3)',
+        [id, movieId, at]
+      );
+      await client.query('UPDATE watchlists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+      return { position: at };
+    });
+  }
+
+  /**
+   * Reorder a list. movieIds must list exactly the list's live movies; trashed
+   * movies keep their relative order after them.
+   * Resolves to undefined if the list does not exist, to { mismatch } if
+   * movieIds is not the list's set of movies, otherwise to { items }.
+   */
+  async reorderWatchlist(id, username, movieIds) {
+    return this.moviesTransaction(async (client) => {
+      if (await this.lockWatchlist(client, id, username) === null) return undefined;
+
+      const current = await client.query(
+        `SELECT wi.movie_id, movies.deleted_at IS NULL AS live
+          FROM watchlist_items wi JOIN movies ON movies.id = wi.movie_id
+          WHERE wi.watchlist_id = $1 ORDER BY wi.position`,
+        [id]
+      );
+      const live = current.rows.filter((row) => row.live).map((row) => row.movie_id);
+      const trashed = current.rows.filter((row) => !row.live).map((row) => row.movie_id);
+      if (live.length !== movieIds.length || !movieIds.every((movieId) => live.includes(movieId))) {
+        return { mismatch: true };
+      }
+
+      await client.query(
+        `UPDATE watchlist_items wi SET position = o.position
+          FROM unnest($2::int[]) WITH ORDINALITY AS o(movie_id, position)
+          WHERE wi.watchlist_id = $1 AND wi.movie_id = o.movie_id`,
+        [id, [...movieIds, ...trashed]]
+      );
+      await client.query('UPDATE watchlists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+      return { items: await this.getWatchlistItems(client, id) };
+    });
+  }
+
+  // Resolves to false if the list does not exist or does not hold the movie
+  async removeWatchlistItem(id, username, movieId) {
+    return this.moviesTransaction(async (client) => {
+      if (await this.lockWatchlist(client, id, username) === null) return false;
+      const removed = await client.query(
+        'DELETE FROM watchlist_items WHERE watchlist_id = $1 AND movie_id = $2',
+        [id, movieId]
+      );
+      if (removed.rowCount === 0) return false;
+      await this.renumberWatchlists(client, [id]);
+      await client.query('UPDATE watchlists SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+      return true;
+    });
+  }
+
+  // Watched log operations
+  async getWatched(username, { page = 1, limit = 20, movie_id: movieId } = {}) {
+    const params = [username];
+    let where = 'w.username = $1 AND movies.deleted_at IS NULL';
+    if (movieId) {
+      params.push(movieId);
+      where += ` AND w.movie_id = $${params.length}`;
+    }
+
+    const client = await this.moviesPool.connect();
+    try {
+      const count = await client.query(
+        `SELECT COUNT(*)::int AS total FROM watched_movies w
+          JOIN movies ON movies.id = w.movie_id WHERE ${where}`,
+        params
+      );
+      const result = await client.query(
+        `SELECT w.id, w.movie_id, w.watched_on, w.created_at,
+            movies.name, movies.release_date, movies.poster_url, movies.poster_images
+          FROM watched_movies w JOIN movies ON movies.id = w.movie_id
+          WHERE ${where}
+          ORDER BY w.watched_on DESC, w.id DESC
+          LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, (page - 1) * limit]
+      );
+      return { entries: result.rows, total: count.rows[0].total };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Resolves to null if the movie does not exist or is deleted; watchedOn defaults to today
+  async addWatched(username, movieId, watchedOn = null) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO watched_movies (username, movie_id, watched_on)
+          SELECT $1, id, COALESCE($3::date, CURRENT_DATE) FROM movies WHERE id = $2 AND deleted_at IS NULL
+          RETURNING id, movie_id, watched_on, created_at`,
+        [username, movieId, watchedOn]
+      );
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async deleteWatched(id, username) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        'DELETE FROM watched_movies WHERE id = $1 AND username = $2',
+        [id, username]
+      );
+      return result.rowCount > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Removes a user's watchlists and watched log when the account is deleted
+  async deleteUserLists(username) {
+    return this.moviesTransaction(async (client) => {
+      await client.query('DELETE FROM watchlists WHERE username = $1', [username]);
+      await client.query('DELETE FROM watched_movies WHERE username = $1', [username]);
+    });
+  }
+
+  // Recommendation inputs
+  // Every live movie with its genre and cast ids, plus every visible rating
+  async getRecommendationCorpus() {
+    const client = await this.moviesPool.connect();
+    try {
+      const movies = await client.query(
+        `SELECT id, name, description,
+            ARRAY(SELECT genre_id FROM movie_genres WHERE movie_id = movies.id) AS genre_ids,
+            ARRAY(SELECT person_id FROM movie_cast WHERE movie_id = movies.id) AS person_ids
+          FROM movies WHERE deleted_at IS NULL`
+      );
+      const ratings = await client.query(
+        `SELECT r.username, r.movie_id, r.rating
+          FROM movie_reviews r JOIN movies ON movies.id = r.movie_id
+          WHERE r.hidden_at IS NULL AND movies.deleted_at IS NULL
+          ORDER BY r.username, r.updated_at DESC`
+      );
+      return { movies: movies.rows, ratings: ratings.rows };
+    } finally {
+      client.release();
+    }
+  }
+
+  // A user's own ratings (hidden ones included: they still reflect taste) and
+  // the distinct movies in their watched log, most recent first
+  async getUserTasteSignals(username) {
+    const client = await this.moviesPool.connect();
+    try {
+      const ratings = await client.query(
+        'SELECT movie_id, rating FROM movie_reviews WHERE username = $1 ORDER BY updated_at DESC',
+        [username]
+      );
+      const watched = await client.query(
+        `SELECT movie_id FROM watched_movies WHERE username = $1
+          GROUP BY movie_id ORDER BY MAX(watched_on) DESC`,
+        [username]
+      );
+      return { ratings: ratings.rows, watched: watched.rows.map((row) => row.movie_id) };
+    } finally {
+      client.release();
+    }
+  }
+
+  // Live movies with the given ids, in no particular order
+  async getMoviesByIds(ids) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${MOVIE_COLUMNS} FROM movies WHERE id = ANY($1::int[]) AND deleted_at IS NULL`,
+        [ids]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Best rated live movies (at least minCount ratings), skipping excludeIds
+  async getTopRatedMovies(excludeIds, limit, minCount = 1) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT ${MOVIE_COLUMNS} FROM movies
+          JOIN movie_ratings mr ON mr.movie_id = movies.id
+          WHERE movies.deleted_at IS NULL AND mr.rating_count >= $3
+            AND NOT (movies.id = ANY($1::int[]))
+          ORDER BY mr.rating_average DESC, mr.rating_count DESC, movies.id
+          LIMIT $2`,
+        [excludeIds, limit, minCount]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Revision operations. Revisions of a movie in the trash are only returned
+  // with includeDeleted, for callers who may see the trash.
+  async getMovieHistory(id, { includeDeleted = false } = {}) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT revision, action, changed_fields, reverted_to, changed_by, created_at, snapshot
+          FROM movie_revisions WHERE movie_id = $1 ${REVISION_MOVIE_VISIBLE}
+          ORDER BY revision DESC`,
+        [id, includeDeleted]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  async getMovieRevision(id, revision, { includeDeleted = false } = {}) {
+    const client = await this.moviesPool.connect();
+    try {
+      const result = await client.query(
+        `SELECT revision, action, changed_fields, reverted_to, changed_by, created_at, snapshot
+          FROM movie_revisions WHERE movie_id = $1 ${REVISION_MOVIE_VISIBLE} AND revision = $3`,
+        [id, includeDeleted, revision]
+      );
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  // Field-level diff between two revisions; null if either revision is missing
+  async diffMovieRevisions(id, fromRevision, toRevision, options = {}) {
+    const [from, to] = await Promise.all([
+      this.getMovieRevision(id, fromRevision, options),
+      this.getMovieRevision(id, toRevision, options)
+    ]);
+    if (!from || !to) return null;
+    return diffSnapshots(from.snapshot, to.snapshot);
+  }
+
+  // Resolves to { purged, posterImages }: the number of movies removed and
+  // the poster_images of those that had uploaded posters
+  async purgeDeletedMovies(retentionDays) {
+    return this.moviesTransaction(async (client) => {
+      const expired = 'deleted_at IS NOT NULL AND deleted_at < CURRENT_TIMESTAMP - ($1 * INTERVAL \'1 day\')';
+      // Purged movies leave their lists through the cascade; those lists are renumbered
+      const lists = await client.query(
+        `SELECT DISTINCT watchlist_id FROM watchlist_items
+          WHERE movie_id IN (SELECT id FROM movies WHERE ${expired})`,
+        [retentionDays]
+      );
+      const result = await client.query(`DELETE FROM movies WHERE ${expired} RETURNING poster_images`, [retentionDays]);
+      await this.renumberWatchlists(client, lists.rows.map((row) => row.watchlist_id));
+      return {
+        purged: result.rowCount,
+        posterImages: result.rows.map((row) => row.poster_images).filter(Boolean)
+      };
+    });
+  }
 }
 
 module.exports = new Database();
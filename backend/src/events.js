@@ -0,0 +1,124 @@
+const config = require('./config');
+const database = require('./database');
+const redisClient = require('./redis-client');
+const webhooks = require('./webhooks');
+const { logger } = require('./logging');
+
+/**
+ * Live catalogue events, streamed to browsers as Server-Sent Events.
+ *
+ * Every change is published on a Redis channel and each backend replica
+ * forwards what it receives to the streams it holds open, so a client sees
+ * changes made through any replica. When Redis is unavailable, events still
+ * reach the clients of the replica that made the change.
+ *
+ * Event types:
+ *   movie.created  { movie }  - new or restored from the trash
+ *   movie.updated  { movie }  - edited, reverted, new poster or new rating
+ *   movie.deleted  { id }     - moved to the trash
+ * Each event also carries the acting username and a timestamp. The same
+ * events are dispatched to subscribed webhooks (see webhooks.js).
+ */
+
+const CHANNEL = 'events:catalogue';
+
+// Streams open on this replica: { res }
+const streams = new Set();
+
+const deliver = (event) => {
+  const frame = `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+  streams.forEach((stream) => stream.res.write(frame));
+};
+
+// Subscribed once, when the first stream opens; retried if it failed
+let subscription = null;
+
+const ensureSubscribed = () => {
+  if (!subscription) {
+    subscription = redisClient.subscribe(CHANNEL, deliver).then((subscribed) => {
+      if (!subscribed) subscription = null;
+    });
+  }
+};
+
+/**
+ * Turn a response into an event stream for an authenticated request
+ * (see security.verifyToken). The stream ends when the client disconnects
+ * or when its session (or API key) is revoked or expires; the client is
+ * expected to reconnect, which re-authenticates it.
+ * @param {Object} req - Express request with req.user and the bearer token or req.apiKey
+ * @param {Object} res - Express response
+ */
+const openStream = (req, res) => {
+  ensureSubscribed();
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${config.EVENT_RETRY_MS}\n\n`);
+
+  const stream = { res };
+  streams.add(stream);
+
+  // A database error keeps an API key stream open rather than dropping it
+  const token = req.apiKey ? null : req.headers.authorization.replace('Bearer ', '');
+  const stillAuthorized = req.apiKey
+    ? () => database.isApiKeyActive(req.apiKey.id).catch(() => true)
+    : () => redisClient.getUserSession(token);
+
+  const heartbeat = setInterval(async () => {
+    if (!await stillAuthorized()) {
+      res.end();
+      return;
+    }
+    res.write(': heartbeat\n\n');
+  }, config.EVENT_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    streams.delete(stream);
+  });
+};
+
+/**
+ * Publish movie changes. Created and updated events carry the movie as the
+ * API returns it, read fresh after the change; deleted events only the id.
+ * Never throws: a failed publish is logged and must not fail the write
+ * that caused it.
+ * @param {string} type - movie.created, movie.updated or movie.deleted
+ * @param {number|string|Array<number|string>} movieIds - Changed movie(s)
+ * @param {string} actor - Username that made the change
+ */
+const publishMovieChange = async (type, movieIds, actor) => {
+  try {
+    const ids = [].concat(movieIds).map(Number);
+    const payloads = type === 'movie.deleted'
+      ? ids.map((id) => ({ id }))
+      : (await database.getMoviesByIds(ids)).map((movie) => ({ movie }));
+
+    const at = new Date().toISOString();
+    for (const payload of payloads) {
+      const event = { type, ...payload, actor, at };
+      if (!await redisClient.publishEvent(CHANNEL, event)) {
+        deliver(event);
+      }
+      await webhooks.dispatch(type, payload, actor);
+    }
+  } catch (error) {
+    logger.error('Publish movie event error:', error);
+  }
+};
+
+// Number of open streams on this replica, reported by /api/health
+const streamCount = () => streams.size;
+
+module.exports = {
+  openStream,
+  publishMovieChange,
+  streamCount
+};
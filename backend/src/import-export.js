@@ -0,0 +1,92 @@
+const { Transform } = require('stream');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify');
+const { movieSchema } = require('./validation');
+
+// Columns written to CSV exports, in order. Only the movieSchema fields are
+// read back on import, so an export can be re-imported as-is.
+const EXPORT_COLUMNS = [
+  'id', 'name', 'actor', 'genre', 'description',
+  'release_date', 'runtime_minutes', 'certification', 'original_language', 'country',
+  'imdb_id', 'tmdb_id', 'poster_url',
+  'updated_by', 'created_at', 'updated_at'
+];
+
+/**
+ * Read the import payload from a request parsed by express.text (text/csv)
+ * or express.json (an array of movies, or { "movies": [...] }).
+ * @param {express.Request} req - Import request
+ * @returns {Array<Object>} Raw records, not yet validated
+ * @throws {Error} When the body is not CSV or a JSON array of movies
+ */
+const parseImportBody = (req) => {
+  if (req.is('text/csv')) {
+    return parse(req.body || '', {
+      columns: (header) => header.map((column) => column.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true
+    });
+  }
+
+  if (req.is('application/json')) {
+    const records = Array.isArray(req.body) ? req.body : req.body.movies;
+    if (!Array.isArray(records)) {
+      throw new Error('JSON body must be an array of movies or { "movies": [...] }');
+    }
+    return records;
+  }
+
+  throw new Error('Content-Type must be text/csv or application/json');
+};
+
+/**
+ * Validate every record against movieSchema, keeping all errors per row.
+ * Unknown columns (such as id or updated_by from an export) are dropped, and
+ * empty cells count as missing so optional CSV columns can be left blank.
+ * @param {Array<Object>} records - Raw records
+ * @returns {{valid: Array<{row: number, movie: Object}>, errors: Array<{row: number, error: string}>}}
+ */
+const validateImportRecords = (records) => {
+  const valid = [];
+  const errors = [];
+  records.forEach((record, index) => {
+    const row = index + 1;
+    const filled = Object.fromEntries(Object.entries(record).filter(([, cell]) => cell !== ''));
+    const { error, value } = movieSchema.validate(filled, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      errors.push({ row, error: error.details.map((detail) => detail.message).join('; ') });
+    } else {
+      valid.push({ row, movie: value });
+    }
+  });
+  return { valid, errors };
+};
+
+// Object-mode rows in, a JSON array out, one row at a time
+const jsonArrayStream = () => {
+  let first = true;
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      callback(null, `${first ? '[' : ','}\n${JSON.stringify(row)}`);
+      first = false;
+    },
+    flush(callback) {
+      callback(null, first ? '[]\n' : '\n]\n');
+    }
+  });
+};
+
+// Object-mode rows in, CSV with a header line out
+const csvStream = () => stringify({
+  header: true,
+  columns: EXPORT_COLUMNS,
+  cast: { date: (value) => value.toISOString() }
+});
+
+module.exports = {
+  parseImportBody,
+  validateImportRecords,
+  jsonArrayStream,
+  csvStream
+};
@@ -0,0 +1,67 @@
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   node src/migrate.js up [users|movies]
+ *   node src/migrate.js down <users|movies> [steps]
+ *   node src/migrate.js status [users|movies]
+ *
+ * Without a target, up and status act on both databases. down always needs
+ * an explicit target so a rollback never touches the wrong database.
+ */
+const database = require('./database');
+const { MIGRATION_TARGETS, migrateUp, migrateDown, migrationStatus } = require('./migrations');
+
+const [command, target, steps] = process.argv.slice(2);
+const targets = target ? [target] : MIGRATION_TARGETS;
+
+const commands = {
+  up: async () => {
+    for (const name of targets) {
+      const applied = await migrateUp(name);
+      console.log(applied.length
+        ? `${name}: applied ${applied.join(', ')}`
+        : `${name}: already up to date`);
+    }
+  },
+
+  down: async () => {
+    if (!target) {
+      throw new Error('down requires a target: users or movies');
+    }
+    const count = Number(steps) || 1;
+    const reverted = await migrateDown(target, count);
+    console.log(reverted.length
+      ? `${target}: reverted ${reverted.join(', ')}`
+      : `${target}: nothing to revert`);
+  },
+
+  status: async () => {
+    for (const name of targets) {
+      console.log(`${name}:`);
+      for (const migration of await migrationStatus(name)) {
+        const state = migration.applied ? `applied ${new Date(migration.appliedAt).toISOString()}` : 'pending';
+        console.log(`  ${migration.version}_${migration.name}  ${state}`);
+      }
+    }
+  }
+};
+
+const main = async () => {
+  if (!commands[command]) {
+    console.error('Usage: node src/migrate.js <up|down|status> [users|movies] [steps]');
+    process.exitCode = 1;
+    return;
+  }
+  try {
+    await commands[command]();
+  } catch (error) {
+    console.error(`Migration ${command} failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await database.usersPool.end();
+    await database.moviesPool.end();
+  }
+};
+
+main();
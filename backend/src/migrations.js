@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const database = require('./database');
+const { logger } = require('./logging');
+
+// Migration files live in migrations/<target>/<version>_<name>.up.sql with a
+// matching .down.sql. Versions are zero-padded so they sort lexically.
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.up\.sql$/;
+
+// One advisory lock per database so concurrent replicas apply migrations one at a time
+const TARGETS = {
+  users: { pool: () => database.usersPool, lockId: 73100001 },
+  movies: { pool: () => database.moviesPool, lockId: 73100002 }
+};
+
+const getTarget = (target) => {
+  if (!TARGETS[target]) {
+    throw new Error(`Unknown migration target: ${target} (expected ${Object.keys(TARGETS).join(' or ')})`);
+  }
+  return TARGETS[target];
+};
+
+// Read the migration files for a target, ordered by version
+const loadMigrations = (target) => {
+  const dir = path.join(MIGRATIONS_DIR, target);
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir)
+    .map((file) => file.match(MIGRATION_FILE))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version,
+      name,
+      upPath: path.join(dir, file),
+      downPath: path.join(dir, `${version}_${name}.down.sql`)
+    }))
+    .sort((a, b) => a.version.localeCompare(b.version));
+};
+
+// Run fn with a dedicated client holding the target's advisory lock
+const withMigrationLock = async (target, fn) => {
+  const { pool, lockId } = getTarget(target);
+  const client = await pool().connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [lockId]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [lockId]).catch(() => {});
+    client.release();
+  }
+};
+
+const getApplied = async (client) => {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+};
+
+// Each migration runs in its own transaction together with its bookkeeping row
+const runInTransaction = async (client, sql, bookkeeping) => {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await bookkeeping();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+/**
+ * Apply every pending migration for a target.
+ * @param {string} target - 'users' or 'movies'
+ * @returns {Promise<Array<string>>} Applied migration ids, e.g. ['0002_full_text_search']
+ */
+const migrateUp = (target) => withMigrationLock(target, async (client) => {
+  const applied = new Set((await getApplied(client)).map((row) => row.version));
+  const pending = loadMigrations(target).filter((migration) => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    await runInTransaction(client, fs.readFileSync(migration.upPath, 'utf8'), () => client.query(
+      'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+      [migration.version, migration.name]
+    ));
+    logger.info(`Migration applied: ${target}/${migration.version}_${migration.name}`);
+  }
+  return pending.map((migration) => `${migration.version}_${migration.name}`);
+});
+
+/**
+ * Roll back the most recently applied migrations for a target.
+ * @param {string} target - 'users' or 'movies'
+ * @param {number} steps - Number of migrations to roll back
+ * @returns {Promise<Array<string>>} Rolled back migration ids, newest first
+ */
+const migrateDown = (target, steps = 1) => withMigrationLock(target, async (client) => {
+  const files = new Map(loadMigrations(target).map((migration) => [migration.version, migration]));
+  const toRevert = (await getApplied(client)).reverse().slice(0, steps);
+
+  for (const row of toRevert) {
+    const migration = files.get(row.version);
+    if (!migration || !fs.existsSync(migration.downPath)) {
+      throw new Error(`No down migration for ${target}/${row.version}_${row.name}`);
+    }
+    await runInTransaction(client, fs.readFileSync(migration.downPath, 'utf8'), () => client.query(
+      'DELETE FROM schema_migrations WHERE version = $1',
+      [row.version]
+    ));
+    logger.info(`Migration reverted: ${target}/${row.version}_${row.name}`);
+  }
+  return toRevert.map((row) => `${row.version}_${row.name}`);
+});
+
+/**
+ * List every known migration for a target and whether it has been applied.
+ * @param {string} target - 'users' or 'movies'
+ * @returns {Promise<Array<Object>>} [{ version, name, applied, appliedAt }]
+ */
+const migrationStatus = (target) => withMigrationLock(target, async (client) => {
+  const applied = new Map((await getApplied(client)).map((row) => [row.version, row]));
+  return loadMigrations(target).map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied: applied.has(migration.version),
+    appliedAt: applied.get(migration.version)?.applied_at || null
+  }));
+});
+
+// Startup hook: bring both databases up to date
+const runPendingMigrations = async () => {
+  for (const target of Object.keys(TARGETS)) {
+    await migrateUp(target);
+  }
+};
+
+module.exports = {
+  MIGRATION_TARGETS: Object.keys(TARGETS),
+  migrateUp,
+  migrateDown,
+  migrationStatus,
+  runPendingMigrations
+};
@@ -0,0 +1,290 @@
+const crypto = require('crypto');
+const config = require('./config');
+const redisClient = require('./redis-client');
+const { logger } = require('./logging');
+
+/**
+ * OpenID Connect single sign-on: the authorization code flow with PKCE.
+ *
+ * startSignIn() builds the provider's authorization URL and remembers the
+ * state, nonce and PKCE verifier in Redis; finishSignIn() takes the callback
+ * parameters, exchanges the code for tokens, validates the ID token against
+ * the provider's JWKS and returns the verified claims. Provisioning users from
+ * those claims is left to the caller.
+ *
+ * The state is also bound to the browser that started the sign-in: the caller
+ * sets STATE_COOKIE to the state's hash and hands the cookie back to
+ * finishSignIn(), so a callback URL planted by someone else (login CSRF) is
+ * refused.
+ *
+ * The provider is found through OIDC discovery at
+ * <OIDC_ISSUER>/.well-known/openid-configuration.
+ */
+
+// Asymmetric algorithms accepted for ID token signatures
+const ALGORITHMS = {
+  RS256: { hash: 'sha256' },
+  RS384: { hash: 'sha384' },
+  RS512: { hash: 'sha512' },
+  PS256: { hash: 'sha256', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 },
+  PS384: { hash: 'sha384', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 48 },
+  PS512: { hash: 'sha512', padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 64 },
+  ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+  ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' },
+  ES512: { hash: 'sha512', dsaEncoding: 'ieee-p1363' }
+};
+
+// Discovery documents are re-read hourly; signing keys whenever a token names
+// an unknown key id, at most once a minute (providers rotate keys)
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+const JWKS_REFRESH_MS = 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// A sign-in failure that can be shown to the user
+const signInError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const isEnabled = () => Boolean(config.OIDC_ISSUER && config.OIDC_CLIENT_ID);
+
+// Cookie holding the hash of the state of the sign-in this browser started
+const STATE_COOKIE = 'oidc_state';
+
+const stateHash = (state) => crypto.createHash('sha256').update(String(state)).digest('base64url');
+
+const sameBrowser = (state, cookie) => {
+  if (typeof cookie !== 'string') return false;
+  const expected = Buffer.from(stateHash(state));
+  const actual = Buffer.from(cookie);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const fetchJson = async (url, options = {}) => {
+  const res = await fetch(url, { ...options, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    const detail = body && (body.error_description || body.error);
+    throw new Error(`${url} answered HTTP ${res.status}${detail ? `: ${detail}` : ''}`);
+  }
+  return body;
+};
+
+let discovery = null;
+
+const providerMetadata = async () => {
+  if (!discovery || Date.now() - discovery.loadedAt > DISCOVERY_CACHE_MS) {
+    const issuer = config.OIDC_ISSUER.replace(/\/$/, '');
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    // The document must describe the configured issuer, or tokens from it
+    // would be validated against the wrong one
+    if (metadata.issuer.replace(/\/$/, '') !== issuer) {
+      throw new Error(`OIDC discovery returned issuer ${metadata.issuer}, expected ${config.OIDC_ISSUER}`);
+    }
+    discovery = { metadata, loadedAt: Date.now() };
+  }
+  return discovery.metadata;
+};
+
+let jwks = { keys: [], loadedAt: 0 };
+
+const signingKey = async (kid, alg) => {
+  const find = () => jwks.keys.find((key) => (kid ? key.kid === kid : true)
+    && (!key.use || key.use === 'sig')
+    && (!key.alg || key.alg === alg)
+    && key.kty === (alg.startsWith('ES') ? 'EC' : 'RSA'));
+
+  let jwk = find();
+  if (!jwk && Date.now() - jwks.loadedAt > JWKS_REFRESH_MS) {
+    const { jwks_uri: jwksUri } = await providerMetadata();
+    jwks = { keys: (await fetchJson(jwksUri)).keys || [], loadedAt: Date.now() };
+    jwk = find();
+  }
+  if (!jwk) {
+    throw signInError('ID token is signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Verify an ID token's signature and claims (OIDC Core 3.1.3.7).
+ * @param {string} idToken - Compact JWS from the token endpoint
+ * @param {string} nonce - Nonce sent with the authorization request
+ * @returns {Promise<Object>} The token's claims
+ */
+const verifyIdToken = async (idToken, nonce) => {
+  const parts = String(idToken).split('.');
+  if (parts.length !== 3) {
+    throw signInError('Malformed ID token');
+  }
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = JSON.parse(Buffer.from(encodedHeader, 'base64url').toString());
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw signInError(`ID token algorithm ${header.alg} is not accepted`);
+  }
+
+  const key = await signingKey(header.kid, header.alg);
+  const valid = crypto.verify(
+    algorithm.hash,
+    Buffer.from(`${encodedHeader}.${encodedPayload}`),
+    { key, padding: algorithm.padding, saltLength: algorithm.saltLength, dsaEncoding: algorithm.dsaEncoding },
+    Buffer.from(encodedSignature, 'base64url')
+  );
+  if (!valid) {
+    throw signInError('ID token signature is invalid');
+  }
+
+  const claims = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+  const { issuer } = await providerMetadata();
+  const audiences = [].concat(claims.aud);
+  const now = Math.floor(Date.now() / 1000);
+
+  if (claims.iss !== issuer) {
+    throw signInError('ID token was issued by another provider');
+  }
+  if (!audiences.includes(config.OIDC_CLIENT_ID) || (audiences.length > 1 && claims.azp !== config.OIDC_CLIENT_ID)) {
+    throw signInError('ID token was issued for another client');
+  }
+  if (!(claims.exp + config.OIDC_CLOCK_SKEW > now)) {
+    throw signInError('ID token has expired');
+  }
+  if (claims.iat > now + config.OIDC_CLOCK_SKEW) {
+    throw signInError('ID token is issued in the future');
+  }
+  if (claims.nonce !== nonce) {
+    throw signInError('ID token nonce does not match');
+  }
+  if (!claims.sub) {
+    throw signInError('ID token has no subject');
+  }
+  return claims;
+};
+
+/**
+ * Begin a sign-in.
+ * @param {string} redirectUri - Callback URL registered with the provider
+ * @returns {Promise<{url: string, cookie: string}>} Authorization URL to send
+ *   the browser to, and the STATE_COOKIE value to set on it
+ */
+const startSignIn = async (redirectUri) => {
+  const { authorization_endpoint: authorizationEndpoint } = await providerMetadata();
+  const state = base64url(crypto.randomBytes(24));
+  const nonce = base64url(crypto.randomBytes(24));
+  const codeVerifier = base64url(crypto.randomBytes(48));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  if (!await redisClient.saveOidcState(state, { nonce, codeVerifier, redirectUri }, config.OIDC_STATE_TTL)) {
+    throw new Error('Failed to store sign-in state');
+  }
+
+  const url = new URL(authorizationEndpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.OIDC_CLIENT_ID,
+    redirect_uri: redirectUri,
+    scope: config.OIDC_SCOPES,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+  return { url: url.toString(), cookie: stateHash(state) };
+};
+
+/**
+ * Complete a sign-in from the provider's callback.
+ * @param {Object} params - Callback query: code and state, or error and error_description
+ * @param {string} [cookie] - The browser's STATE_COOKIE
+ * @returns {Promise<Object>} Verified ID token claims, with userinfo claims
+ *   merged in when the provider has a userinfo endpoint
+ * @throws {Error} With status 400 when the sign-in was refused or is invalid
+ */
+const finishSignIn = async ({ code, state, error, error_description: errorDescription }, cookie) => {
+  if (!state || !sameBrowser(state, cookie)) {
+    throw signInError('Sign-in was not started from this browser, please try again');
+  }
+  const saved = await redisClient.takeOidcState(String(state));
+  if (!saved) {
+    throw signInError('Sign-in expired or was already used, please try again');
+  }
+  if (error) {
+    throw signInError(`The identity provider refused the sign-in: ${errorDescription || error}`);
+  }
+  if (!code) {
+    throw signInError('The identity provider sent no authorization code');
+  }
+
+  const metadata = await providerMetadata();
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+  if (config.OIDC_CLIENT_SECRET) {
+    // client_secret_basic; public clients rely on PKCE alone
+    const credentials = `${encodeURIComponent(config.OIDC_CLIENT_ID)}:${encodeURIComponent(config.OIDC_CLIENT_SECRET)}`;
+    headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+  }
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers,
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code: String(code),
+      redirect_uri: saved.redirectUri,
+      client_id: config.OIDC_CLIENT_ID,
+      code_verifier: saved.codeVerifier
+    })
+  });
+  if (!tokens.id_token) {
+    throw signInError('The identity provider sent no ID token');
+  }
+
+  const claims = await verifyIdToken(tokens.id_token, saved.nonce);
+
+  // Many providers only put groups and profile claims in userinfo
+  if (metadata.userinfo_endpoint && tokens.access_token) {
+    try {
+      const userinfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}`, Accept: 'application/json' }
+      });
+      if (userinfo.sub === claims.sub) {
+        return { ...userinfo, ...claims };
+      }
+      logger.warn('OIDC userinfo subject does not match the ID token, ignoring it');
+    } catch (err) {
+      logger.warn('OIDC userinfo request failed:', { error: err.message });
+    }
+  }
+  return claims;
+};
+
+// The user's groups from the configured claim, as an array of strings
+const groupsFrom = (claims) => {
+  const groups = claims[config.OIDC_GROUPS_CLAIM];
+  if (Array.isArray(groups)) return groups.map(String);
+  return typeof groups === 'string' ? groups.split(/[\s,]+/).filter(Boolean) : [];
+};
+
+const subjectHash = (claims) => crypto.createHash('sha256').update(String(claims.sub)).digest('hex').slice(0, 8);
+
+// A local username from the claims: letters and digits only, 3-30 characters,
+// like usernames chosen at registration ("john.doe@corp.example" -> "johndoe")
+const usernameFrom = (claims) => {
+  const raw = String(claims[config.OIDC_USERNAME_CLAIM] || claims.email || '').split('@')[0];
+  const username = raw.replace(/[^a-zA-Z0-9]/g, '').slice(0, 30);
+  return username.length >= 3 ? username : `user${subjectHash(claims)}`;
+};
+
+// The same username made distinct by the subject, for when it is taken
+const uniqueUsernameFrom = (claims) => `${usernameFrom(claims).slice(0, 22)}${subjectHash(claims)}`;
+
+module.exports = {
+  STATE_COOKIE,
+  isEnabled,
+  startSignIn,
+  finishSignIn,
+  groupsFrom,
+  usernameFrom,
+  uniqueUsernameFrom
+};
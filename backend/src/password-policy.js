@@ -0,0 +1,75 @@
+const fs = require('fs');
+const config = require('./config');
+const { logger } = require('./logging');
+
+/**
+ * Password policy for new passwords (registration, admin-created users,
+ * password changes and resets). Existing passwords are never re-checked, so
+ * users with older, weaker passwords can still log in and change them.
+ */
+
+// bcrypt only uses the first 72 bytes of a password
+const MAX_BYTES = 72;
+
+const CHARACTER_CLASSES = [
+  /[a-z]/,
+  /[A-Z]/,
+  /[0-9]/,
+  /[^a-zA-Z0-9]/
+];
+
+// Lower-cased entries of PASSWORD_BLOCKLIST_FILE, loaded on first use
+let blocklist = null;
+
+const loadBlocklist = () => {
+  if (!blocklist) {
+    try {
+      blocklist = new Set(fs.readFileSync(config.PASSWORD_BLOCKLIST_FILE, 'utf8')
+        .split('\n')
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#')));
+    } catch (error) {
+      logger.error('Failed to load password blocklist:', error);
+      blocklist = new Set();
+    }
+  }
+  return blocklist;
+};
+
+// Common passwords with digits or symbols tacked on ("Password2024!") are
+// as guessable as the word itself
+const isCommon = (password) => {
+  const list = loadBlocklist();
+  const lower = password.toLowerCase();
+  return list.has(lower) || list.has(lower.replace(/[^a-z]+$/, ''));
+};
+
+/**
+ * Check a new password against the policy.
+ * @param {string} password - Proposed password
+ * @param {string} [username] - Account it is for; the password may not contain it
+ * @returns {string|null} Why the password is refused, or null if it is acceptable
+ */
+const checkPassword = (password, username) => {
+  if (password.length < config.PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${config.PASSWORD_MIN_LENGTH} characters long`;
+  }
+  if (Buffer.byteLength(password) > MAX_BYTES) {
+    return `Password must be at most ${MAX_BYTES} bytes long`;
+  }
+  const classes = CHARACTER_CLASSES.filter((pattern) => pattern.test(password)).length;
+  if (classes < config.PASSWORD_MIN_CLASSES) {
+    return `Password must use at least ${config.PASSWORD_MIN_CLASSES} of: lower-case letters, upper-case letters, digits, symbols`;
+  }
+  if (username && password.toLowerCase().includes(username.toLowerCase())) {
+    return 'Password must not contain the username';
+  }
+  if (isCommon(password)) {
+    return 'Password is too common, please choose another';
+  }
+  return null;
+};
+
+module.exports = {
+  checkPassword
+};
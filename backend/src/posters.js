@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const config = require('./config');
+const storage = require('./storage');
+const { logger } = require('./logging');
+
+// Accepted poster formats, keyed by the format sharp detects in the file itself
+const POSTER_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg', extension: 'jpg' },
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' }
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: config.POSTER_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, callback) => {
+    const accepted = Object.values(POSTER_FORMATS).some((format) => format.mimeType === file.mimetype);
+    if (!accepted) {
+      const error = new Error('Poster must be a JPEG, PNG or WebP image');
+      error.status = 415;
+      return callback(error);
+    }
+    callback(null, true);
+  }
+});
+
+/**
+ * Multipart parser for a single "poster" file field with the size and type
+ * limits applied. Answers 413 for oversized files, 415 for other content
+ * types and 400 for malformed uploads; otherwise req.file holds the upload.
+ */
+const posterUpload = (req, res, next) => {
+  upload.single('poster')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Poster must be at most ${config.POSTER_MAX_BYTES} bytes` });
+    }
+    res.status(error.status || 400).json({ error: error.message });
+  });
+};
+
+// Encodes the original (in its own format) and every thumbnail width (as WebP).
+// rotate() bakes the EXIF orientation into the pixels; sharp writes no EXIF,
+// XMP or GPS metadata unless asked to, so every output is stripped.
+const renderPoster = async (buffer, format) => {
+  const options = { limitInputPixels: config.POSTER_MAX_PIXELS };
+  const original = await sharp(buffer, options)
+    .rotate()
+    .toFormat(format, { quality: 90 })
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnails = [];
+  for (const width of config.POSTER_THUMBNAIL_WIDTHS) {
+    const data = await sharp(buffer, options)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+    thumbnails.push({ width, data });
+  }
+  return { original, thumbnails };
+};
+
+/**
+ * Validate an uploaded poster by decoding it, then store a metadata-free
+ * original plus resized thumbnails under a content-hashed key.
+ * @param {number|string} movieId - Movie the poster belongs to
+ * @param {Buffer} buffer - Uploaded file
+ * @returns {Promise<{images: Object, keys: Array<string>}|{error: string}>}
+ *   images is { original, width, height, thumbnails: { "<width>": url } } and
+ *   keys the stored objects (see removePosterFiles()); error describes why the
+ *   file was rejected
+ */
+const storePoster = async (movieId, buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    return { error: 'File is not a readable image' };
+  }
+  const format = POSTER_FORMATS[metadata.format];
+  if (!format) {
+    return { error: 'Poster must be a JPEG, PNG or WebP image' };
+  }
+  if (metadata.width * metadata.height > config.POSTER_MAX_PIXELS) {
+    return { error: `Poster must be at most ${config.POSTER_MAX_PIXELS} pixels` };
+  }
+
+  let rendered;
+  try {
+    rendered = await renderPoster(buffer, metadata.format);
+  } catch (error) {
+    return { error: 'File is not a readable image' };
+  }
+
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+  const base = `posters/${movieId}/${hash}`;
+  const files = [
+    { key: `${base}.${format.extension}`, data: rendered.original.data, contentType: format.mimeType },
+    ...rendered.thumbnails.map(({ width, data }) => ({ key: `${base}-w${width}.webp`, data, contentType: 'image/webp' }))
+  ];
+
+  // All or nothing: a failed write removes whatever was already stored
+  const written = [];
+  try {
+    for (const file of files) {
+      await storage.save(file.key, file.data, file.contentType);
+      written.push(file.key);
+    }
+  } catch (error) {
+    await Promise.all(written.map((key) => storage.remove(key).catch(() => {})));
+    throw error;
+  }
+
+  return {
+    keys: files.map((file) => file.key),
+    images: {
+      original: storage.url(files[0].key),
+      width: rendered.original.info.width,
+      height: rendered.original.info.height,
+      thumbnails: Object.fromEntries(rendered.thumbnails.map(({ width }, index) => [width, storage.url(files[index + 1].key)]))
+    }
+  };
+};
+
+// Storage keys of a movie's poster_images, leaving out posters hosted elsewhere
+const posterKeys = (images) => {
+  if (!images) return [];
+  return [images.original, ...Object.values(images.thumbnails || {})]
+    .map((url) => storage.keyOf(url))
+    .filter(Boolean);
+};
+
+/**
+ * Delete stored poster files: those of an upload that never reached the
+ * database, or those of a poster that was replaced. Posters are content
+ * hashed, so re-uploading the current image yields the same keys; anything
+ * in keep is left alone. Failures are logged and leave the file behind.
+ * @param {Array<string>} keys - Storage keys to delete
+ * @param {Array<string>} [keep] - Keys still referenced by a movie
+ */
+const removePosterFiles = async (keys, keep = []) => {
+  const unused = keys.filter((key) => !keep.includes(key));
+  await Promise.all(unused.map((key) => storage.remove(key).catch((error) => {
+    logger.warn('Failed to remove poster file:', { key, error: error.message });
+  })));
+};
+
+/**
+ * Delete the files of a poster a movie no longer shows: after an upload,
+ * an edit that points poster_url elsewhere, a revert or a purge.
+ * @param {Object|null} previousImages - poster_images before the write
+ * @param {Object|null} [currentImages] - poster_images after it, if the movie still exists
+ */
+const removeReplacedPoster = (previousImages, currentImages = null) =>
+  removePosterFiles(posterKeys(previousImages), posterKeys(currentImages));
+
+/**
+ * A revision snapshot ready to be written back. The files of a replaced
+ * poster are deleted (see removeReplacedPoster()), so a snapshot pointing at
+ * files that are gone has its uploaded poster cleared instead of restoring
+ * broken URLs; posters hosted elsewhere are kept.
+ * @param {Object} snapshot - Snapshot from movie_revisions
+ * @returns {Promise<Object>}
+ */
+const withStoredPoster = async (snapshot) => {
+  const keys = posterKeys(snapshot.poster_images);
+  if (keys.length === 0) return snapshot;
+  const stored = await Promise.all(keys.map((key) => storage.exists(key)));
+  if (stored.every(Boolean)) return snapshot;
+  return {
+    ...snapshot,
+    poster_images: null,
+    poster_url: snapshot.poster_url === snapshot.poster_images.original ? null : snapshot.poster_url
+  };
+};
+
+module.exports = {
+  posterUpload,
+  storePoster,
+  posterKeys,
+  removePosterFiles,
+  removeReplacedPoster,
+  withStoredPoster
+};
@@ -0,0 +1,124 @@
+const config = require('./config');
+const redisClient = require('./redis-client');
+const { logAuth } = require('./logging');
+
+/**
+ * Rate limiting and login brute-force protection, counted in Redis so every
+ * backend replica shares the same counters. When Redis is unavailable,
+ * requests are let through rather than locking everyone out.
+ */
+
+// Sets the 429 response headers and body
+const tooManyRequests = (res, retryAfterMs, error) => {
+  res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+  return res.status(429).json({ error, retryAfter: Math.ceil(retryAfterMs / 1000) });
+};
+
+/**
+ * Middleware factory: allow `limit` requests per sliding `windowMs` for each
+ * client of a route. Responses carry RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset (seconds) and RateLimit-Policy headers; a rejected request
+ * gets 429 with Retry-After.
+ *
+ * The same limiter can be mounted on several routes: each route (method and
+ * path pattern) gets its own counters.
+ *
+ * @param {Object} options
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Function} [options.key] - req => client key; defaults to the
+ *   authenticated username (mount after verifyToken), else the client IP
+ * @returns {Function} Express middleware
+ *
+ * @example
+ * const writeLimit = rateLimit({ limit: 60, windowMs: 60 * 1000 });
+ * app.post('/api/movies', verifyToken, writeLimit, ...);
+ */
+const rateLimit = ({ limit, windowMs, key = (req) => (req.user ? `user:${req.user.username}` : `ip:${req.ip}`) }) => {
+  const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+  return async (req, res, next) => {
+    const route = `${req.method}:${req.baseUrl}${req.route ? req.route.path : req.path}`;
+    const result = await redisClient.hitRateLimit(`${route}:${key(req)}`, limit, windowMs);
+    if (!result) {
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - result.count)),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+      'RateLimit-Policy': policy
+    });
+    if (!result.allowed) {
+      return tooManyRequests(res, result.resetMs, 'Too many requests, please try again later');
+    }
+    next();
+  };
+};
+
+// Failures are tracked per username regardless of case, and whether or not
+// the account exists, so responses do not reveal which usernames are real
+const loginKey = (username) => username.toLowerCase();
+
+/**
+ * Middleware for POST /api/auth/login (after body validation): refuses the
+ * attempt while the username is locked out (423) or inside its progressive
+ * delay (429), both with Retry-After.
+ */
+const checkLoginAllowed = async (req, res, next) => {
+  const { username } = req.body;
+  const { lockout, retryAt } = await redisClient.getLoginBlock(loginKey(username));
+
+  if (lockout) {
+    const retryAfterMs = Math.max(0, Date.parse(lockout.until) - Date.now());
+    logAuth('LOGIN_LOCKED', username, false, { ip: req.ip });
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(423).json({
+      error: 'Account temporarily locked after too many failed logins',
+      retryAfter: Math.ceil(retryAfterMs / 1000)
+    });
+  }
+  if (retryAt && retryAt > Date.now()) {
+    logAuth('LOGIN_THROTTLED', username, false, { ip: req.ip });
+    return tooManyRequests(res, retryAt - Date.now(), 'Too many failed logins, please wait before trying again');
+  }
+  next();
+};
+
+/**
+ * Record a failed login: sets the progressive delay and, at
+ * LOGIN_LOCKOUT_THRESHOLD failures, locks the account.
+ * @param {string} username - Username tried
+ * @param {string} ip - Client address, kept on the lockout record
+ */
+const recordLoginFailure = async (username, ip) => {
+  const key = loginKey(username);
+  const failures = await redisClient.recordLoginFailure(key, config.LOGIN_FAILURE_WINDOW_MS);
+
+  if (failures >= config.LOGIN_LOCKOUT_THRESHOLD) {
+    const now = Date.now();
+    await redisClient.lockAccount(key, {
+      failures,
+      last_ip: ip,
+      locked_at: new Date(now).toISOString(),
+      until: new Date(now + config.LOGIN_LOCKOUT_MS).toISOString()
+    }, config.LOGIN_LOCKOUT_MS);
+    logAuth('ACCOUNT_LOCKED', username, false, { ip, failures });
+  } else if (failures >= config.LOGIN_DELAY_AFTER) {
+    const delay = Math.min(
+      config.LOGIN_DELAY_BASE_MS * 2 ** (failures - config.LOGIN_DELAY_AFTER),
+      config.LOGIN_DELAY_MAX_MS
+    );
+    await redisClient.setLoginDelay(key, delay);
+  }
+};
+
+// A successful login starts the count again
+const clearLoginFailures = (username) => redisClient.clearLoginFailures(loginKey(username));
+
+module.exports = {
+  rateLimit,
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures
+};
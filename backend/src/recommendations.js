@@ -0,0 +1,348 @@
+const config = require('./config');
+const database = require('./database');
+const redisClient = require('./redis-client');
+const { logger } = require('./logging');
+
+/**
+ * Movie recommendations, computed locally from the catalogue and user
+ * activity. Two similarity tables are precomputed by a background job:
+ *
+ *   content        - cosine similarity of TF-IDF vectors built from genres,
+ *                    cast and the terms of the name and description
+ *   collaborative  - item-item adjusted cosine similarity over movies rated
+ *                    by the same users (at least RECOMMENDATION_MIN_CORATERS)
+ *
+ * Each movie keeps its RECOMMENDATION_NEIGHBOURS most similar movies per
+ * table. A user's recommendations are the neighbours of the movies they
+ * liked or watched, weighted by how much they liked them.
+ */
+
+// Feature weights relative to a description term
+const GENRE_WEIGHT = 2;
+const CAST_WEIGHT = 1.5;
+const NAME_WEIGHT = 1.5;
+
+// Features shared by more movies than this are skipped: they say little
+// about similarity and would make the pairwise pass quadratic
+const MAX_FEATURE_MOVIES = 2000;
+
+// Only a user's most recent ratings count towards co-rating pairs
+const MAX_RATINGS_PER_USER = 200;
+
+// Pulls co-rating similarity towards 0 until enough users agree
+const CORATER_SHRINKAGE = 5;
+
+// Ratings at or above this are "liked" and seed recommendations
+const LIKE_THRESHOLD = 6;
+
+// Seed weight of a watched but unrated movie
+const WATCHED_WEIGHT = 0.3;
+
+// Only the most recent seeds are used
+const MAX_SEEDS = 50;
+
+const STOP_WORDS = new Set((
+  'about above after again against all also and any are because been before being below between both but ' +
+  'can could did does doing down during each few for from further had has have having her here hers him his ' +
+  'how into its itself just more most not now off once only other our out over own same she should some such ' +
+  'than that the their them then there these they this those through too under until very was were what when ' +
+  'where which while who whom why will with would you your'
+).split(' '));
+
+const tokenize = (text) => ((text || '').toLowerCase().match(/[\p{L}\p{N}']+/gu) || [])
+  .map((token) => token.replace(/'s?$/, ''))
+  .filter((token) => token.length > 2 && !STOP_WORDS.has(token));
+
+// Keeps the best `count` [id, score] pairs, rounded for storage
+const topNeighbours = (pairs, count) => pairs
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, count)
+  .map(([id, score]) => [id, Math.round(score * 10000) / 10000]);
+
+/**
+ * Content-based similarity table.
+ * @param {Array<Object>} movies - { id, name, description, genre_ids, person_ids }
+ * @returns {Object} movie id -> [[similar movie id, cosine similarity], ...]
+ */
+const buildContentSimilarity = (movies) => {
+  // Raw feature weights per movie: term frequencies plus weighted genres and cast
+  const documents = movies.map((movie) => {
+    const features = new Map();
+    const add = (feature, weight) => features.set(feature, (features.get(feature) || 0) + weight);
+    tokenize(movie.name).forEach((term) => add(`t:${term}`, NAME_WEIGHT));
+    tokenize(movie.description).forEach((term) => add(`t:${term}`, 1));
+    movie.genre_ids.forEach((id) => add(`g:${id}`, GENRE_WEIGHT));
+    movie.person_ids.forEach((id) => add(`p:${id}`, CAST_WEIGHT));
+    return features;
+  });
+
+  const documentFrequency = new Map();
+  documents.forEach((features) => features.forEach((weight, feature) => {
+    documentFrequency.set(feature, (documentFrequency.get(feature) || 0) + 1);
+  }));
+
+  // TF-IDF weights normalized to unit length, indexed by feature. Features
+  // found in a single movie cannot make two movies similar and are dropped.
+  const postings = new Map();
+  documents.forEach((features, index) => {
+    const weights = [];
+    features.forEach((weight, feature) => {
+      const df = documentFrequency.get(feature);
+      if (df > 1 && df <= MAX_FEATURE_MOVIES) {
+        weights.push([feature, weight * Math.log(movies.length / df)]);
+      }
+    });
+    const norm = Math.sqrt(weights.reduce((sum, [, weight]) => sum + weight * weight, 0));
+    if (norm === 0) return;
+    weights.forEach(([feature, weight]) => {
+      if (!postings.has(feature)) postings.set(feature, []);
+      postings.get(feature).push([index, weight / norm]);
+    });
+  });
+
+  // Dot products through the inverted index, one movie at a time
+  const vectors = movies.map(() => []);
+  postings.forEach((list, feature) => list.forEach(([index, weight]) => vectors[index].push([feature, weight])));
+
+  const table = {};
+  const scores = new Float64Array(movies.length);
+  vectors.forEach((vector, index) => {
+    const touched = new Set();
+    vector.forEach(([feature, weight]) => {
+      postings.get(feature).forEach(([other, otherWeight]) => {
+        if (other === index) return;
+        scores[other] += weight * otherWeight;
+        touched.add(other);
+      });
+    });
+    const pairs = [...touched].map((other) => [movies[other].id, scores[other]]);
+    touched.forEach((other) => { scores[other] = 0; });
+    if (pairs.length > 0) {
+      table[movies[index].id] = topNeighbours(pairs, config.RECOMMENDATION_NEIGHBOURS);
+    }
+  });
+  return table;
+};
+
+/**
+ * Item-item collaborative similarity table (adjusted cosine: ratings are
+ * centred on each user's mean so generous and harsh raters compare fairly).
+ * @param {Array<Object>} ratings - { username, movie_id, rating }, newest first per user
+ * @returns {Object} movie id -> [[similar movie id, similarity], ...]
+ */
+const buildCollaborativeSimilarity = (ratings) => {
+  const byUser = new Map();
+  ratings.forEach(({ username, movie_id: movieId, rating }) => {
+    if (!byUser.has(username)) byUser.set(username, []);
+    const list = byUser.get(username);
+    if (list.length < MAX_RATINGS_PER_USER) list.push([movieId, rating]);
+  });
+
+  // Per movie pair: sum of products and sums of squares over co-raters
+  const pairs = new Map();
+  byUser.forEach((list) => {
+    if (list.length < 2) return;
+    const mean = list.reduce((sum, [, rating]) => sum + rating, 0) / list.length;
+    const centred = list.map(([movieId, rating]) => [movieId, rating - mean]).sort((a, b) => a[0] - b[0]);
+    for (let i = 0; i < centred.length; i++) {
+      for (let j = i + 1; j < centred.length; j++) {
+        const [a, ca] = centred[i];
+        const [b, cb] = centred[j];
+        const key = `${a}:${b}`;
+        const pair = pairs.get(key) || { a, b, dot: 0, normA: 0, normB: 0, count: 0 };
+        pair.dot += ca * cb;
+        pair.normA += ca * ca;
+        pair.normB += cb * cb;
+        pair.count++;
+        pairs.set(key, pair);
+      }
+    }
+  });
+
+  const neighbours = new Map();
+  pairs.forEach(({ a, b, dot, normA, normB, count }) => {
+    if (count < config.RECOMMENDATION_MIN_CORATERS || normA === 0 || normB === 0) return;
+    const similarity = (dot / Math.sqrt(normA * normB)) * (count / (count + CORATER_SHRINKAGE));
+    if (similarity <= 0) return;
+    if (!neighbours.has(a)) neighbours.set(a, []);
+    if (!neighbours.has(b)) neighbours.set(b, []);
+    neighbours.get(a).push([b, similarity]);
+    neighbours.get(b).push([a, similarity]);
+  });
+
+  const table = {};
+  neighbours.forEach((list, movieId) => {
+    table[movieId] = topNeighbours(list, config.RECOMMENDATION_NEIGHBOURS);
+  });
+  return table;
+};
+
+// Last table computed by this process; used when Redis is unavailable
+let localSimilarity = null;
+
+const computeSimilarity = async () => {
+  const started = Date.now();
+  const { movies, ratings } = await database.getRecommendationCorpus();
+  const content = buildContentSimilarity(movies);
+  const collaborative = buildCollaborativeSimilarity(ratings);
+
+  const table = {};
+  movies.forEach(({ id }) => {
+    if (content[id] || collaborative[id]) {
+      table[id] = { content: content[id] || [], collaborative: collaborative[id] || [] };
+    }
+  });
+
+  localSimilarity = { table, computedAt: new Date().toISOString() };
+  await redisClient.storeMovieSimilarity(table);
+  logger.info('Recommendation similarity refreshed', {
+    movies: movies.length,
+    ratings: ratings.length,
+    durationMs: Date.now() - started
+  });
+};
+
+// A refresh that is still running is shared, never started twice
+let refreshInFlight = null;
+
+/**
+ * Recompute both similarity tables and publish them to Redis. Only the
+ * background job calls this, so requests never wait for the build; a Redis
+ * lock keeps replicas from repeating the work.
+ * @returns {Promise<boolean>} false when another replica holds the lock
+ */
+const refreshSimilarity = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const lockSeconds = Math.max(60, Math.floor(config.RECOMMENDATION_REFRESH_MS / 1000) - 60);
+      if (!await redisClient.acquireJobLock('recommendations', lockSeconds)) {
+        return false;
+      }
+      await computeSimilarity();
+      return true;
+    })().finally(() => { refreshInFlight = null; });
+  }
+  return refreshInFlight;
+};
+
+// Similarity entries for the seed movies: from Redis, else from this
+// process's last table; null until the background job has built one
+const loadSimilarity = async (movieIds) => {
+  const cached = await redisClient.getMovieSimilarity(movieIds);
+  if (cached) return cached;
+  if (!localSimilarity) return null;
+  const table = {};
+  movieIds.forEach((movieId) => {
+    if (localSimilarity.table[movieId]) table[movieId] = localSimilarity.table[movieId];
+  });
+  return { table, computedAt: localSimilarity.computedAt };
+};
+
+// The best rated movies the user has not seen yet
+const popularFor = async (seen, limit) => {
+  const movies = await database.getTopRatedMovies([...seen], limit);
+  return {
+    recommendations: movies.map((movie) => ({
+      movie,
+      score: movie.rating_average,
+      reason: { type: 'popular', movie_id: null, movie_name: null },
+      explanation: 'Highly rated by other users'
+    })),
+    computedAt: null
+  };
+};
+
+/**
+ * Recommendations for a user, best first.
+ * @param {string} username - User to recommend for
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Promise<{recommendations: Array<Object>, computedAt: string|null}>}
+ *   Each suggestion is { movie, score, reason: { type, movie_id, movie_name }, explanation }
+ *   where type is 'content', 'collaborative' or 'popular'. Popular movies fill
+ *   whatever the similarity tables cannot.
+ */
+const recommendFor = async (username, limit) => {
+  const { ratings, watched } = await database.getUserTasteSignals(username);
+  const rated = new Set(ratings.map((rating) => rating.movie_id));
+  const seen = new Set([...rated, ...watched]);
+
+  // Liked movies weigh by how much they were liked; watched but unrated movies count a little
+  const seeds = new Map();
+  ratings.filter((rating) => rating.rating >= LIKE_THRESHOLD).forEach(({ movie_id: movieId, rating }) => {
+    seeds.set(movieId, { weight: (rating - LIKE_THRESHOLD + 1) / (11 - LIKE_THRESHOLD), verb: 'liked' });
+  });
+  watched.filter((movieId) => !rated.has(movieId) && !seeds.has(movieId)).forEach((movieId) => {
+    seeds.set(movieId, { weight: WATCHED_WEIGHT, verb: 'watched' });
+  });
+  const seedIds = [...seeds.keys()].slice(0, MAX_SEEDS);
+
+  // Nothing to go on yet, or no table computed yet: fall back to the best rated movies
+  if (seedIds.length === 0) {
+    return popularFor(seen, limit);
+  }
+  const similarity = await loadSimilarity(seedIds);
+  if (!similarity) {
+    return popularFor(seen, limit);
+  }
+  const { table, computedAt } = similarity;
+
+  // Sum each candidate's weighted similarity to the seeds, remembering the
+  // strongest single contribution to explain the suggestion
+  const candidates = new Map();
+  seedIds.forEach((seedId) => {
+    const entry = table[seedId];
+    if (!entry) return;
+    const { weight } = seeds.get(seedId);
+    ['content', 'collaborative'].forEach((type) => {
+      entry[type].forEach(([movieId, similarity]) => {
+        if (seen.has(movieId)) return;
+        const contribution = weight * similarity;
+        const candidate = candidates.get(movieId) || { score: 0, best: null };
+        candidate.score += contribution;
+        if (!candidate.best || contribution > candidate.best.contribution) {
+          candidate.best = { contribution, type, seedId };
+        }
+        candidates.set(movieId, candidate);
+      });
+    });
+  });
+
+  // Rank a few extra in case some have been deleted since the table was computed
+  const ranked = [...candidates.entries()].sort((a, b) => b[1].score - a[1].score).slice(0, limit * 2);
+  const rows = await database.getMoviesByIds([...ranked.map(([movieId]) => movieId), ...seedIds]);
+  const byId = new Map(rows.map((row) => [row.id, row]));
+
+  const recommendations = ranked
+    .filter(([movieId]) => byId.has(movieId))
+    .slice(0, limit)
+    .map(([movieId, { score, best }]) => {
+      const seed = byId.get(best.seedId);
+      const seedName = seed ? seed.name : 'a movie you rated';
+      const { verb } = seeds.get(best.seedId);
+      return {
+        movie: byId.get(movieId),
+        score: Math.round(score * 10000) / 10000,
+        reason: { type: best.type, movie_id: best.seedId, movie_name: seed ? seed.name : null },
+        explanation: best.type === 'content'
+          ? `Because you ${verb} ${seedName}`
+          : `Because people who liked ${seedName} also liked it`
+      };
+    });
+
+  // Seeds missing from the table (evicted from Redis, or added since it was
+  // computed) or neighbours all seen already: top up with the best rated movies
+  if (recommendations.length < limit) {
+    const shown = new Set([...seen, ...recommendations.map(({ movie }) => movie.id)]);
+    const popular = await popularFor(shown, limit - recommendations.length);
+    recommendations.push(...popular.recommendations);
+  }
+
+  return { recommendations, computedAt };
+};
+
+module.exports = {
+  refreshSimilarity,
+  recommendFor,
+  buildContentSimilarity,
+  buildCollaborativeSimilarity
+};
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { createClient } = require('redis');
 const config = require('./config');
 const { logger } = require('./logging');  // Use destructuring import
@@ -8,6 +9,9 @@ class RedisClient {
       url: config.REDIS_URL
     });
 
+    // Process-local cache counters, reported by /api/health
+    this.cacheStats = { hits: 0, misses: 0 };
+
     this.client.on('error', (err) => {
       logger.error('Redis Client Error:', err);
     });
@@ -26,7 +30,7 @@ class RedisClient {
 
   async setUserSession(token, userData) {
     try {
-      await this.client.setEx(`session:${token}`, 600, JSON.stringify(userData)); // 10 minutes = 600 seconds
+      await this.client.setEx(`session:${token}`, config.SESSION_TTL, JSON.stringify(userData));
       return true;
     } catch (error) {
       logger.error('Redis setUserSession error:', error);
@@ -44,6 +48,17 @@ class RedisClient {
     }
   }
 
+  // Sliding expiry: push the idle timeout back on every authenticated request
+  async touchUserSession(token) {
+    try {
+      await this.client.expire(`session:${token}`, config.SESSION_TTL);
+      return true;
+    } catch (error) {
+      logger.error('Redis touchUserSession error:', error);
+      return false;
+    }
+  }
+
   async deleteUserSession(token) {
     try {
       await this.client.del(`session:${token}`);
@@ -54,6 +69,845 @@ class RedisClient {
     }
   }
 
+  // ========== REFRESH TOKENS ==========
+  // Refresh tokens are opaque random strings stored under their SHA-256 hash.
+  // Each login starts a token family; every refresh rotates to a new token in
+  // the same family and marks the old one as used. A used token presented
+  // again has been replayed, so the whole family and its session are revoked.
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  async createRefreshToken(userData, accessToken, family = crypto.randomUUID()) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const hash = this.hashToken(refreshToken);
+    try {
+      await this.client.multi()
+        .setEx(`refresh:${hash}`, config.REFRESH_TOKEN_TTL, JSON.stringify({ ...userData, family, used: false }))
+        .setEx(`refresh-family:${family}`, config.REFRESH_TOKEN_TTL, JSON.stringify({
+          username: userData.username,
+          current: hash,
+          accessToken
+        }))
+        .exec();
+      return { refreshToken, family };
+    } catch (error) {
+      logger.error('Redis createRefreshToken error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Consume a refresh token.
+   * @param {string} refreshToken - Token presented by the client
+   * @returns {Promise<{status: 'rotated'|'reused'|'invalid', record?: Object, accessToken?: string}>}
+   *   'rotated' carries the token record and the access token it was issued with
+   */
+  async rotateRefreshToken(refreshToken) {
+    const key = `refresh:${this.hashToken(refreshToken)}`;
+    try {
+      const data = await this.client.get(key);
+      if (!data) return { status: 'invalid' };
+      const record = JSON.parse(data);
+
+      // Atomically flag the token as used; the previous value tells us whether
+      // a concurrent or earlier request already consumed it
+      const previous = await this.client.set(key, JSON.stringify({ ...record, used: true }), {
+        XX: true,
+        KEEPTTL: true,
+        GET: true
+      });
+      if (!previous) return { status: 'invalid' };
+      if (JSON.parse(previous).used) {
+        await this.revokeRefreshFamily(record.family);
+        return { status: 'reused', record };
+      }
+
+      const family = await this.client.get(`refresh-family:${record.family}`);
+      if (!family) return { status: 'invalid' };
+      return { status: 'rotated', record, accessToken: JSON.parse(family).accessToken };
+    } catch (error) {
+      logger.error('Redis rotateRefreshToken error:', error);
+      return { status: 'invalid' };
+    }
+  }
+
+  // Revoke a login: its current refresh token, its access session, the family
+  // itself and its entry in the owner's session index
+  async revokeRefreshFamily(family, username = null) {
+    if (!family) return false;
+    try {
+      const data = await this.client.get(`refresh-family:${family}`);
+      const keys = [`refresh-family:${family}`, `session-meta:${family}`];
+      if (data) {
+        const { current, accessToken } = JSON.parse(data);
+        keys.push(`refresh:${current}`, `session:${accessToken}`);
+        username = username || JSON.parse(data).username;
+      }
+      await this.client.del(keys);
+      if (username) {
+        await this.client.sRem(`user-sessions:${username}`, family);
+      }
+      return Boolean(data);
+    } catch (error) {
+      logger.error('Redis revokeRefreshFamily error:', error);
+      return false;
+    }
+  }
+
+  // ========== PER-USER SESSION INDEX ==========
+  // Every login is identified by its refresh token family id. The set
+  // user-sessions:<username> lists a user's ids and session-meta:<id> holds the
+  // device, IP, user agent and timestamps shown to the user.
+
+  async registerSession(username, sessionId, meta) {
+    const now = new Date().toISOString();
+    try {
+      await this.client.multi()
+        .hSet(`session-meta:${sessionId}`, { ...meta, id: sessionId, createdAt: now, lastSeen: now })
+        .expire(`session-meta:${sessionId}`, config.REFRESH_TOKEN_TTL)
+        .sAdd(`user-sessions:${username}`, sessionId)
+        .expire(`user-sessions:${username}`, config.REFRESH_TOKEN_TTL)
+        .exec();
+      return true;
+    } catch (error) {
+      logger.error('Redis registerSession error:', error);
+      return false;
+    }
+  }
+
+  // Record activity; called from verifyToken and when a refresh rotates the session
+  async touchSessionMeta(username, sessionId) {
+    if (!sessionId) return false;
+    try {
+      await this.client.multi()
+        .hSet(`session-meta:${sessionId}`, 'lastSeen', new Date().toISOString())
+        .expire(`session-meta:${sessionId}`, config.REFRESH_TOKEN_TTL)
+        .expire(`user-sessions:${username}`, config.REFRESH_TOKEN_TTL)
+        .exec();
+      return true;
+    } catch (error) {
+      logger.error('Redis touchSessionMeta error:', error);
+      return false;
+    }
+  }
+
+  async getUserSessions(username) {
+    try {
+      const ids = await this.client.sMembers(`user-sessions:${username}`);
+      const sessions = [];
+      for (const id of ids) {
+        const meta = await this.client.hGetAll(`session-meta:${id}`);
+        if (Object.keys(meta).length === 0) {
+          // Expired login; drop it from the index
+          await this.client.sRem(`user-sessions:${username}`, id);
+        } else {
+          sessions.push(meta);
+        }
+      }
+      return sessions.sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+    } catch (error) {
+      logger.error('Redis getUserSessions error:', error);
+      return [];
+    }
+  }
+
+  async userHasSession(username, sessionId) {
+    try {
+      return await this.client.sIsMember(`user-sessions:${username}`, sessionId);
+    } catch (error) {
+      logger.error('Redis userHasSession error:', error);
+      return false;
+    }
+  }
+
+  // Merge userData into every live session of a user, e.g. after a role change
+  async updateUserSessions(username, userData) {
+    try {
+      const ids = await this.client.sMembers(`user-sessions:${username}`);
+      for (const id of ids) {
+        const family = await this.client.get(`refresh-family:${id}`);
+        if (!family) continue;
+        const key = `session:${JSON.parse(family).accessToken}`;
+        const data = await this.client.get(key);
+        if (data) {
+          await this.client.set(key, JSON.stringify({ ...JSON.parse(data), ...userData }), { KEEPTTL: true });
+        }
+      }
+      return true;
+    } catch (error) {
+      logger.error('Redis updateUserSessions error:', error);
+      return false;
+    }
+  }
+
+  async revokeAllUserSessions(username) {
+    try {
+      const ids = await this.client.sMembers(`user-sessions:${username}`);
+      for (const id of ids) {
+        await this.revokeRefreshFamily(id, username);
+      }
+      await this.client.del(`user-sessions:${username}`);
+      return ids.length;
+    } catch (error) {
+      logger.error('Redis revokeAllUserSessions error:', error);
+      return 0;
+    }
+  }
+
+  // ========== RATE LIMITING ==========
+  // Sliding-window log: a sorted set of request timestamps per key, trimmed
+  // to the window on every hit. The check and the insert run as one script
+  // so concurrent requests cannot both take the last slot.
+
+  /**
+   * Count a request against a limit.
+   * @param {string} key - Limit key (route and client)
+   * @param {number} limit - Requests allowed per window
+   * @param {number} windowMs - Window length
+   * @returns {Promise<{allowed: boolean, count: number, resetMs: number}|null>}
+   *   resetMs is how long until the oldest counted request leaves the window;
+   *   null when Redis is unavailable (callers let the request through)
+   */
+  async hitRateLimit(key, limit, windowMs) {
+    if (!this.client.isReady) return null;
+    try {
+      const now = Date.now();
+      const [allowed, count, oldest] = await this.client.eval(
+        `local now = tonumber(ARGV[1])
+        local window = tonumber(ARGV[2])
+        redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+        local count = redis.call('ZCARD', KEYS[1])
+        local allowed = 0
+        if count < tonumber(ARGV[3]) then
+          redis.call('ZADD', KEYS[1], now, ARGV[4])
+          count = count + 1
+          allowed = 1
+        end
+        redis.call('PEXPIRE', KEYS[1], window)
+        local first = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+        return {allowed, count, tonumber(first[2] or now)}`,
+        {
+          keys: [`ratelimit:${key}`],
+          arguments: [String(now), String(windowMs), String(limit), `${now}-${crypto.randomBytes(4).toString('hex')}`]
+        }
+      );
+      return { allowed: allowed === 1, count, resetMs: Math.max(0, oldest + windowMs - now) };
+    } catch (error) {
+      logger.error('Redis hitRateLimit error:', error);
+      return null;
+    }
+  }
+
+  // ========== LOGIN FAILURES AND LOCKOUTS ==========
+  // auth:failures:<username> logs failed logins within the failure window,
+  // auth:login-delay:<username> holds the time before which the next attempt
+  // is refused, and auth:lockout:<username> marks a locked account until it
+  // expires. Locked usernames are indexed in auth:lockouts for the admin view.
+
+  // Records a failed login and returns the number of failures in the window
+  async recordLoginFailure(username, windowMs) {
+    if (!this.client.isReady) return 0;
+    try {
+      const now = Date.now();
+      const key = `auth:failures:${username}`;
+      const [, , count] = await this.client.multi()
+        .zRemRangeByScore(key, '-inf', now - windowMs)
+        .zAdd(key, { score: now, value: `${now}-${crypto.randomBytes(4).toString('hex')}` })
+        .zCard(key)
+        .pExpire(key, windowMs)
+        .exec();
+      return count;
+    } catch (error) {
+      logger.error('Redis recordLoginFailure error:', error);
+      return 0;
+    }
+  }
+
+  async setLoginDelay(username, delayMs) {
+    try {
+      await this.client.set(`auth:login-delay:${username}`, String(Date.now() + delayMs), { PX: delayMs });
+      return true;
+    } catch (error) {
+      logger.error('Redis setLoginDelay error:', error);
+      return false;
+    }
+  }
+
+  async lockAccount(username, record, durationMs) {
+    try {
+      await this.client.multi()
+        .set(`auth:lockout:${username}`, JSON.stringify(record), { PX: durationMs })
+        .sAdd('auth:lockouts', username)
+        .exec();
+      return true;
+    } catch (error) {
+      logger.error('Redis lockAccount error:', error);
+      return false;
+    }
+  }
+
+  // { lockout, retryAt }: the lockout record if locked, and the earliest time
+  // (ms) the next attempt is accepted, if delayed
+  async getLoginBlock(username) {
+    if (!this.client.isReady) return { lockout: null, retryAt: null };
+    try {
+      const [lockout, retryAt] = await Promise.all([
+        this.client.get(`auth:lockout:${username}`),
+        this.client.get(`auth:login-delay:${username}`)
+      ]);
+      return { lockout: lockout ? JSON.parse(lockout) : null, retryAt: retryAt ? Number(retryAt) : null };
+    } catch (error) {
+      logger.error('Redis getLoginBlock error:', error);
+      return { lockout: null, retryAt: null };
+    }
+  }
+
+  // Clears failures, delay and lockout; resolves to whether the account was locked
+  async clearLoginFailures(username) {
+    try {
+      const [, , unlocked] = await this.client.multi()
+        .del(`auth:failures:${username}`)
+        .del(`auth:login-delay:${username}`)
+        .del(`auth:lockout:${username}`)
+        .sRem('auth:lockouts', username)
+        .exec();
+      return unlocked > 0;
+    } catch (error) {
+      logger.error('Redis clearLoginFailures error:', error);
+      return false;
+    }
+  }
+
+  async getLockouts() {
+    try {
+      const usernames = await this.client.sMembers('auth:lockouts');
+      const lockouts = [];
+      for (const username of usernames) {
+        const record = await this.client.get(`auth:lockout:${username}`);
+        if (!record) {
+          // Lockout expired; drop it from the index
+          await this.client.sRem('auth:lockouts', username);
+        } else {
+          lockouts.push({ username, ...JSON.parse(record) });
+        }
+      }
+      return lockouts.sort((a, b) => b.locked_at.localeCompare(a.locked_at));
+    } catch (error) {
+      logger.error('Redis getLockouts error:', error);
+      return [];
+    }
+  }
+
+  // ========== PASSWORD RESETS ==========
+  // Admin-issued reset tokens, stored under their SHA-256 hash like refresh
+  // tokens. A user has at most one: issuing another invalidates the last.
+
+  /**
+   * Issue a single-use password reset token.
+   * @param {string} username - Account to reset
+   * @param {number} ttl - Validity in seconds
+   * @returns {Promise<{token: string, expiresAt: string}|null>} null when Redis is unavailable
+   */
+  async createPasswordReset(username, ttl) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const hash = this.hashToken(token);
+    try {
+      const previous = await this.client.get(`password-reset-user:${username}`);
+      const multi = this.client.multi();
+      if (previous) multi.del(`password-reset:${previous}`);
+      await multi
+        .setEx(`password-reset:${hash}`, ttl, username)
+        .setEx(`password-reset-user:${username}`, ttl, hash)
+        .exec();
+      return { token, expiresAt: new Date(Date.now() + ttl * 1000).toISOString() };
+    } catch (error) {
+      logger.error('Redis createPasswordReset error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Use up a reset token. It only matches the account it was issued for,
+   * and checking and deleting it is atomic so it works exactly once.
+   * @returns {Promise<boolean>} Whether the token was valid for this user
+   */
+  async consumePasswordReset(username, token) {
+    const hash = this.hashToken(token);
+    try {
+      const consumed = await this.client.eval(
+        `if redis.call('GET', KEYS[1]) == ARGV[1] then
+          redis.call('DEL', KEYS[1], KEYS[2])
+          return 1
+        end
+        return 0`,
+        { keys: [`password-reset:${hash}`, `password-reset-user:${username}`], arguments: [username] }
+      );
+      return consumed === 1;
+    } catch (error) {
+      logger.error('Redis consumePasswordReset error:', error);
+      return false;
+    }
+  }
+
+  // Invalidates a user's outstanding reset token, e.g. once they change their password
+  async deletePasswordReset(username) {
+    try {
+      const hash = await this.client.get(`password-reset-user:${username}`);
+      if (hash) {
+        await this.client.del([`password-reset:${hash}`, `password-reset-user:${username}`]);
+      }
+      return true;
+    } catch (error) {
+      logger.error('Redis deletePasswordReset error:', error);
+      return false;
+    }
+  }
+
+  // ========== TWO-FACTOR LOGIN CHALLENGES ==========
+  // A password login of a two-factor user gets a short-lived challenge token
+  // instead of a session; the code step trades it for the session. Stored
+  // under the token's SHA-256 hash with the number of wrong codes so far.
+
+  /**
+   * @param {Object} challenge - { userId, username, purpose: 'verify'|'enroll' }
+   * @param {number} ttl - Validity in seconds
+   * @returns {Promise<string|null>} Challenge token, or null when Redis is unavailable
+   */
+  async createLoginChallenge(challenge, ttl) {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const key = `2fa-challenge:${this.hashToken(token)}`;
+    try {
+      await this.client.multi()
+        .hSet(key, { ...challenge, attempts: 0 })
+        .expire(key, ttl)
+        .exec();
+      return token;
+    } catch (error) {
+      logger.error('Redis createLoginChallenge error:', error);
+      return null;
+    }
+  }
+
+  async getLoginChallenge(token) {
+    try {
+      const data = await this.client.hGetAll(`2fa-challenge:${this.hashToken(token)}`);
+      if (Object.keys(data).length === 0) return null;
+      return { ...data, userId: Number(data.userId), attempts: Number(data.attempts) };
+    } catch (error) {
+      logger.error('Redis getLoginChallenge error:', error);
+      return null;
+    }
+  }
+
+  // Counts a wrong code; the challenge is dropped once maxAttempts are used.
+  // Resolves to the number of attempts left.
+  async failLoginChallenge(token, maxAttempts) {
+    const key = `2fa-challenge:${this.hashToken(token)}`;
+    try {
+      // A script, so an expired challenge is not recreated without a TTL
+      const attempts = await this.client.eval(
+        `if redis.call('EXISTS', KEYS[1]) == 0 then
+          return tonumber(ARGV[1])
+        end
+        local attempts = redis.call('HINCRBY', KEYS[1], 'attempts', 1)
+        if attempts >= tonumber(ARGV[1]) then
+          redis.call('DEL', KEYS[1])
+        end
+        return attempts`,
+        { keys: [key], arguments: [String(maxAttempts)] }
+      );
+      return Math.max(0, maxAttempts - attempts);
+    } catch (error) {
+      logger.error('Redis failLoginChallenge error:', error);
+      return 0;
+    }
+  }
+
+  async deleteLoginChallenge(token) {
+    try {
+      await this.client.del(`2fa-challenge:${this.hashToken(token)}`);
+      return true;
+    } catch (error) {
+      logger.error('Redis deleteLoginChallenge error:', error);
+      return false;
+    }
+  }
+
+  // ========== SINGLE SIGN-ON ==========
+  // oidc-state:<state> holds the nonce and PKCE verifier of a sign-in that
+  // went to the identity provider; sso-handoff:<hash> holds a finished
+  // sign-in until the browser trades it for a session. Both are single-use.
+
+  async saveOidcState(state, data, ttl) {
+    try {
+      await this.client.setEx(`oidc-state:${state}`, ttl, JSON.stringify(data));
+      return true;
+    } catch (error) {
+      logger.error('Redis saveOidcState error:', error);
+      return false;
+    }
+  }
+
+  async takeOidcState(state) {
+    try {
+      const data = await this.client.getDel(`oidc-state:${state}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error('Redis takeOidcState error:', error);
+      return null;
+    }
+  }
+
+  // Resolves to the one-time handoff code, or null when Redis is unavailable
+  async createLoginHandoff(data, ttl) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    try {
+      await this.client.setEx(`sso-handoff:${this.hashToken(code)}`, ttl, JSON.stringify(data));
+      return code;
+    } catch (error) {
+      logger.error('Redis createLoginHandoff error:', error);
+      return null;
+    }
+  }
+
+  async takeLoginHandoff(code) {
+    try {
+      const data = await this.client.getDel(`sso-handoff:${this.hashToken(code)}`);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      logger.error('Redis takeLoginHandoff error:', error);
+      return null;
+    }
+  }
+
+  // ========== MOVIE CACHE ==========
+  // List entries are keyed by a version number that every write bumps, so a
+  // single INCR invalidates all cached pages. Single movies are deleted directly.
+
+  async getMovieCacheVersion() {
+    // Seed with the current time so a version key lost to LRU eviction
+    // never restarts below a version that still has live entries
+    await this.client.set('cache:movies:version', Date.now(), { NX: true });
+    return this.client.get('cache:movies:version');
+  }
+
+  async movieListCacheKey(query) {
+    if (!this.client.isReady) return null;
+    try {
+      const version = await this.getMovieCacheVersion();
+      const normalized = JSON.stringify(Object.keys(query).sort().map((key) => [key, query[key]]));
+      const hash = crypto.createHash('sha1').update(normalized).digest('hex');
+      return `cache:movies:list:${version}:${hash}`;
+    } catch (error) {
+      logger.error('Redis movieListCacheKey error:', error);
+      return null;
+    }
+  }
+
+  movieCacheKey(id) {
+    return `cache:movies:item:${id}`;
+  }
+
+  /**
+   * Read-through cache: return the cached value for key, or call loader and
+   * cache its result. A null key or an unavailable Redis falls back to loader.
+   * @param {string|null} key - Cache key
+   * @param {number} ttl - Time to live in seconds
+   * @param {Function} loader - Async function producing the value on a miss
+   * @returns {Promise<{value: *, hit: boolean}>}
+   */
+  async readThrough(key, ttl, loader) {
+    if (key && this.client.isReady) {
+      try {
+        const cached = await this.client.get(key);
+        if (cached) {
+          this.cacheStats.hits++;
+          return { value: JSON.parse(cached), hit: true };
+        }
+      } catch (error) {
+        logger.error('Redis cache read error:', error);
+      }
+    }
+
+    this.cacheStats.misses++;
+    const value = await loader();
+
+    if (key && value !== undefined && value !== null && this.client.isReady) {
+      try {
+        await this.client.setEx(key, ttl, JSON.stringify(value));
+      } catch (error) {
+        logger.error('Redis cache write error:', error);
+      }
+    }
+    return { value, hit: false };
+  }
+
+  // Drops every cached listing, plus the cached copy of one movie or an array of movies
+  async invalidateMovieCache(id = null) {
+    if (!this.client.isReady) return false;
+    try {
+      await this.getMovieCacheVersion();
+      await this.client.incr('cache:movies:version');
+      const ids = id === null ? [] : [].concat(id);
+      if (ids.length > 0) {
+        await this.client.del(ids.map((movieId) => this.movieCacheKey(movieId)));
+      }
+      return true;
+    } catch (error) {
+      logger.error('Redis invalidateMovieCache error:', error);
+      return false;
+    }
+  }
+
+  // ========== RECOMMENDATIONS ==========
+  // recs:similarity is a hash of movie id -> JSON list of similar movies. A
+  // refresh writes a new hash and renames it into place, so readers never see
+  // a half-written table.
+
+  async storeMovieSimilarity(table) {
+    if (!this.client.isReady) return false;
+    try {
+      const temp = `recs:similarity:${crypto.randomUUID()}`;
+      const fields = Object.fromEntries(Object.entries(table).map(([movieId, entry]) => [movieId, JSON.stringify(entry)]));
+      const multi = this.client.multi();
+      if (Object.keys(fields).length > 0) {
+        multi.hSet(temp, fields).rename(temp, 'recs:similarity');
+      } else {
+        multi.del('recs:similarity');
+      }
+      await multi.set('recs:similarity:computed-at', new Date().toISOString()).exec();
+      return true;
+    } catch (error) {
+      logger.error('Redis storeMovieSimilarity error:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Similarity entries for some movies.
+   * @param {Array<number>} movieIds - Movies to look up
+   * @returns {Promise<{table: Object, computedAt: string}|null>} null when Redis
+   *   is unavailable or no table has been computed yet
+   */
+  async getMovieSimilarity(movieIds) {
+    if (!this.client.isReady) return null;
+    try {
+      const computedAt = await this.client.get('recs:similarity:computed-at');
+      if (!computedAt) return null;
+      const values = movieIds.length > 0 ? await this.client.hmGet('recs:similarity', movieIds.map(String)) : [];
+      const table = {};
+      movieIds.forEach((movieId, index) => {
+        if (values[index]) table[movieId] = JSON.parse(values[index]);
+      });
+      return { table, computedAt };
+    } catch (error) {
+      logger.error('Redis getMovieSimilarity error:', error);
+      return null;
+    }
+  }
+
+  // Claims a periodic job for ttlSeconds so only one replica runs it. Without
+  // Redis there is nothing to coordinate with, so the job may run.
+  async acquireJobLock(name, ttlSeconds) {
+    if (!this.client.isReady) return true;
+    try {
+      return (await this.client.set(`lock:${name}`, process.pid.toString(), { NX: true, EX: ttlSeconds })) === 'OK';
+    } catch (error) {
+      logger.error('Redis acquireJobLock error:', error);
+      return true;
+    }
+  }
+
+  // ========== EVENTS ==========
+  // Pub/sub fans events out to every backend replica. A subscribed connection
+  // cannot run other commands, so subscriptions get a connection of their own,
+  // opened on first use; node-redis resubscribes it after a reconnect.
+
+  async publishEvent(channel, event) {
+    if (!this.client.isReady) return false;
+    try {
+      await this.client.publish(channel, JSON.stringify(event));
+      return true;
+    } catch (error) {
+      logger.error('Redis publishEvent error:', error);
+      return false;
+    }
+  }
+
+  async subscribe(channel, handler) {
+    try {
+      if (!this.subscriber) {
+        this.subscriber = this.client.duplicate();
+        this.subscriber.on('error', (err) => {
+          logger.error('Redis Subscriber Error:', err);
+        });
+        await this.subscriber.connect();
+      }
+      await this.subscriber.subscribe(channel, (message) => {
+        try {
+          handler(JSON.parse(message));
+        } catch (error) {
+          logger.error('Redis subscription handler error:', error);
+        }
+      });
+      return true;
+    } catch (error) {
+      logger.error('Redis subscribe error:', error);
+      if (this.subscriber && !this.subscriber.isOpen) {
+        this.subscriber = null;
+      }
+      return false;
+    }
+  }
+
+  // ========== WEBHOOKS ==========
+  // webhooks:queue is a sorted set of pending deliveries (JSON) scored by when
+  // they are due. A worker claims due deliveries by pushing their score a
+  // lease into the future, so a worker that dies mid-delivery only delays
+  // them; it then removes, reschedules or dead-letters each one. Members are
+  // compared as JSON strings, which round-trip unchanged through JSON.parse.
+
+  async enqueueWebhookDelivery(delivery, dueAt) {
+    if (!this.client.isReady) return false;
+    try {
+      await this.client.zAdd('webhooks:queue', { score: dueAt, value: JSON.stringify(delivery) });
+      return true;
+    } catch (error) {
+      logger.error('Redis enqueueWebhookDelivery error:', error);
+      return false;
+    }
+  }
+
+  // Up to limit deliveries due by now, leased until leaseUntil
+  async claimWebhookDeliveries(now, leaseUntil, limit) {
+    if (!this.client.isReady) return [];
+    try {
+      const claimed = await this.client.eval(
+        `local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[3])
+        for _, member in ipairs(due) do
+          redis.call('ZADD', KEYS[1], ARGV[2], member)
+        end
+        return due`,
+        { keys: ['webhooks:queue'], arguments: [String(now), String(leaseUntil), String(limit)] }
+      );
+      return claimed.map((member) => JSON.parse(member));
+    } catch (error) {
+      logger.error('Redis claimWebhookDeliveries error:', error);
+      return [];
+    }
+  }
+
+  async completeWebhookDelivery(delivery) {
+    try {
+      await this.client.zRem('webhooks:queue', JSON.stringify(delivery));
+      return true;
+    } catch (error) {
+      logger.error('Redis completeWebhookDelivery error:', error);
+      return false;
+    }
+  }
+
+  async retryWebhookDelivery(delivery, next, dueAt) {
+    try {
+      await this.client.multi()
+        .zRem('webhooks:queue', JSON.stringify(delivery))
+        .zAdd('webhooks:queue', { score: dueAt, value: JSON.stringify(next) })
+        .exec();
+      return true;
+    } catch (error) {
+      logger.error('Redis retryWebhookDelivery error:', error);
+      return false;
+    }
+  }
+
+  // Moves a delivery that ran out of attempts to the capped dead-letter list
+  async deadLetterWebhookDelivery(delivery, record) {
+    try {
+      await this.client.multi()
+        .zRem('webhooks:queue', JSON.stringify(delivery))
+        .lPush('webhooks:dead-letters', JSON.stringify(record))
+        .lTrim('webhooks:dead-letters', 0, config.WEBHOOK_DEAD_LETTER_SIZE - 1)
+        .exec();
+      return true;
+    } catch (error) {
+      logger.error('Redis deadLetterWebhookDelivery error:', error);
+      return false;
+    }
+  }
+
+  async getWebhookDeadLetters(limit) {
+    if (!this.client.isReady) return [];
+    try {
+      const records = await this.client.lRange('webhooks:dead-letters', 0, limit - 1);
+      return records.map((record) => JSON.parse(record));
+    } catch (error) {
+      logger.error('Redis getWebhookDeadLetters error:', error);
+      return [];
+    }
+  }
+
+  // Removes a dead letter by delivery id and returns it, or null if it is not
+  // there (or another request took it first)
+  async takeWebhookDeadLetter(deliveryId) {
+    if (!this.client.isReady) return null;
+    try {
+      const records = await this.client.lRange('webhooks:dead-letters', 0, -1);
+      const raw = records.find((record) => JSON.parse(record).id === deliveryId);
+      if (!raw || await this.client.lRem('webhooks:dead-letters', 1, raw) === 0) return null;
+      return JSON.parse(raw);
+    } catch (error) {
+      logger.error('Redis takeWebhookDeadLetter error:', error);
+      return null;
+    }
+  }
+
+  async getWebhookQueueSize() {
+    if (!this.client.isReady) return null;
+    try {
+      return await this.client.zCard('webhooks:queue');
+    } catch (error) {
+      logger.error('Redis getWebhookQueueSize error:', error);
+      return null;
+    }
+  }
+
+  // Per-webhook log of delivery attempts, newest first, capped at WEBHOOK_LOG_SIZE
+  async logWebhookAttempt(webhookId, entry) {
+    try {
+      await this.client.multi()
+        .lPush(`webhooks:log:${webhookId}`, JSON.stringify(entry))
+        .lTrim(`webhooks:log:${webhookId}`, 0, config.WEBHOOK_LOG_SIZE - 1)
+        .exec();
+      return true;
+    } catch (error) {
+      logger.error('Redis logWebhookAttempt error:', error);
+      return false;
+    }
+  }
+
+  async getWebhookLog(webhookId, limit) {
+    if (!this.client.isReady) return [];
+    try {
+      const entries = await this.client.lRange(`webhooks:log:${webhookId}`, 0, limit - 1);
+      return entries.map((entry) => JSON.parse(entry));
+    } catch (error) {
+      logger.error('Redis getWebhookLog error:', error);
+      return [];
+    }
+  }
+
+  async deleteWebhookLog(webhookId) {
+    try {
+      await this.client.del(`webhooks:log:${webhookId}`);
+      return true;
+    } catch (error) {
+      logger.error('Redis deleteWebhookLog error:', error);
+      return false;
+    }
+  }
+
   isConnected() {
     return this.client.isOpen;
   }
@@ -2,11 +2,68 @@ const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const config = require('./config');
 const redisClient = require('./redis-client');
-const { logAuth } = require('./logging');
+const database = require('./database');
+const { apiKeyFrom, hashApiKey, scopeAllows } = require('./api-keys');
+const { logger, logAuth } = require('./logging');
 
-// JWT token verification middleware
+// API key authentication, for requests carrying X-API-Key or
+// "Authorization: ApiKey ...". The key acts with its owner's current
+// permissions, limited by its scope, and every request is audit-logged.
+const verifyApiKey = async (req, res, next, apiKey) => {
+  const key = await database.findApiKey(hashApiKey(apiKey));
+  if (!key || key.expired) {
+    logAuth('API_KEY_REJECTED', key ? key.username : null, false, {
+      reason: key ? 'Expired' : 'Unknown key',
+      keyId: key ? key.id : undefined,
+      ip: req.ip
+    });
+    return res.status(401).json({ error: 'Invalid or expired API key' });
+  }
+  if (!scopeAllows(key.scope, req.method)) {
+    logAuth('API_KEY_SCOPE_DENIED', key.username, false, { keyId: key.id, method: req.method, path: req.originalUrl });
+    return res.status(403).json({ error: 'This API key is read-only' });
+  }
+
+  // Usage tracking must not fail the request
+  database.touchApiKey(key.id, req.ip).catch((error) => logger.error('API key touch error:', error));
+
+  req.apiKey = { id: key.id, name: key.name, scope: key.scope };
+  req.user = {
+    username: key.username,
+    roles: key.roles,
+    permissions: key.permissions,
+    isAdmin: key.roles.includes('admin')
+  };
+
+  // 'finish' does not fire when the client disconnects first (streams, SSE),
+  // so log on whichever of 'finish' and 'close' comes first
+  let logged = false;
+  const logRequest = () => {
+    if (logged) return;
+    logged = true;
+    logAuth('API_KEY_REQUEST', key.username, res.writableFinished && res.statusCode < 400, {
+      keyId: key.id,
+      keyName: key.name,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      completed: res.writableFinished,
+      ip: req.ip
+    });
+  };
+  res.on('finish', logRequest);
+  res.on('close', logRequest);
+  next();
+};
+
+// JWT token verification middleware; also accepts API keys
 const verifyToken = async (req, res, next) => {
   try {
+    const apiKey = apiKeyFrom(req);
+    if (apiKey) {
+      return await verifyApiKey(req, res, next, apiKey);
+    }
+
     const token = req.headers.authorization?.replace('Bearer ', '');
     
     if (!token) {
@@ -22,10 +79,21 @@ const verifyToken = async (req, res, next) => {
     // Verify JWT token
     const decoded = jwt.verify(token, config.JWT_SECRET);
     
-    // Attach user info to request
+    // Slide the session idle timeout forward on activity
+    await redisClient.touchUserSession(token);
+    await redisClient.touchSessionMeta(decoded.username, sessionData.refreshFamily);
+    
+    // Keep the session record for handlers that need it (e.g. logout)
+    req.session = sessionData;
+    
+    // Attach user info to request. Roles and permissions come from the session,
+    // which role changes update in place, rather than from the signed token.
+    const roles = sessionData.roles || [];
     req.user = {
       username: decoded.username,
-      isAdmin: decoded.isAdmin
+      roles,
+      permissions: sessionData.permissions || [],
+      isAdmin: roles.includes('admin')
     };
     
     next();
@@ -35,6 +103,17 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// Refuses API keys on routes that manage the account itself (logins,
+// passwords, two-factor, API keys) and on admin routes: those need an
+// interactive session, which is where two-factor is enforced
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    logAuth('API_KEY_SCOPE_DENIED', req.user.username, false, { keyId: req.apiKey.id, path: req.originalUrl });
+    return res.status(403).json({ error: 'API keys cannot be used here, please login' });
+  }
+  next();
+};
+
 // Admin only middleware
 const requireAdmin = (req, res, next) => {
   if (!req.user.isAdmin) {
@@ -44,26 +123,65 @@ const requireAdmin = (req, res, next) => {
   next();
 };
 
-// Password verification helper
+// Permission middleware factory, e.g. requirePermission('movies:write')
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user.permissions.includes(permission)) {
+    logAuth('PERMISSION_DENIED', req.user.username, false, { permission, path: req.originalUrl });
+    return res.status(403).json({ error: `Permission required: ${permission}` });
+  }
+  next();
+};
+
+// Password verification helper; users created through single sign-on have
+// no password and never match
 const verifyPassword = async (plainPassword, hashedPassword) => {
+  if (!hashedPassword) return false;
   return bcrypt.compare(plainPassword, hashedPassword);
 };
 
-// Generate JWT token
+// Whether a stored hash was made with a lower cost than BCRYPT_ROUNDS
+// (or is not a bcrypt hash at all)
+const passwordNeedsRehash = (hashedPassword) => {
+  try {
+    return !(bcrypt.getRounds(hashedPassword) >= config.BCRYPT_ROUNDS);
+  } catch {
+    return true;
+  }
+};
+
+// Generate JWT token for a session user ({ username, roles, isAdmin })
 const generateToken = (user) => {
   return jwt.sign(
     { 
       username: user.username, 
-      isAdmin: user.is_admin === 1 
+      roles: user.roles,
+      isAdmin: user.isAdmin
     },
     config.JWT_SECRET,
     { expiresIn: config.JWT_EXPIRES }
   );
 };
 
+// Short human-readable device label from a User-Agent header, e.g. "Firefox on Linux"
+const describeDevice = (userAgent = '') => {
+  const clients = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari'], ['curl/', 'curl'], ['PostmanRuntime/', 'Postman']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'],
+    ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+
+  const client = clients.find(([marker]) => userAgent.includes(marker));
+  const system = systems.find(([marker]) => userAgent.includes(marker));
+  const label = client ? client[1] : 'Unknown client';
+  return system ? `${label} on ${system[1]}` : label;
+};
+
 module.exports = {
   verifyToken,
+  requireSession,
   requireAdmin,
+  requirePermission,
   verifyPassword,
-  generateToken
+  passwordNeedsRehash,
+  generateToken,
+  describeDevice
 };
@@ -0,0 +1,80 @@
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('./config');
+
+/**
+ * Media storage backends. A backend stores immutable objects under
+ * slash-separated keys such as "posters/3/ab12cd34.jpg" and implements:
+ *
+ *   save(key, buffer, contentType) -> Promise<void>
+ *   remove(key)                    -> Promise<void>, no error if missing
+ *   exists(key)                    -> Promise<boolean>
+ *   url(key)                       -> URL the browser loads the object from
+ *   keyOf(url)                     -> key behind a URL from url(), or null for other URLs
+ *
+ * Callers put a content hash in every key, so an object never changes once
+ * written and can be cached forever. Add new backends to STORAGE_DRIVERS and
+ * select them with STORAGE_DRIVER.
+ */
+
+// Files under UPLOAD_DIR, served by nginx (or express.static when running without it)
+class LocalStorage {
+  constructor({ root, urlPrefix }) {
+    this.root = path.resolve(root);
+    this.urlPrefix = urlPrefix.replace(/\/+$/, '');
+  }
+
+  // Maps a key to a path inside the storage root, refusing keys that escape it
+  resolve(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  async save(key, buffer) {
+    const file = this.resolve(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so a reader never sees a half-written file
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, buffer);
+    await fs.rename(temp, file);
+  }
+
+  async remove(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  url(key) {
+    return `${this.urlPrefix}/${key}`;
+  }
+
+  keyOf(url) {
+    const prefix = `${this.urlPrefix}/`;
+    return typeof url === 'string' && url.startsWith(prefix) ? url.slice(prefix.length) : null;
+  }
+}
+
+const STORAGE_DRIVERS = {
+  local: () => new LocalStorage({ root: config.UPLOAD_DIR, urlPrefix: config.MEDIA_URL_PREFIX })
+};
+
+const createStorage = (driver) => {
+  const factory = STORAGE_DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (available: ${Object.keys(STORAGE_DRIVERS).join(', ')})`);
+  }
+  return factory();
+};
+
+module.exports = createStorage(config.STORAGE_DRIVER);
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const config = require('./config');
+
+/**
+ * TOTP (RFC 6238) codes and recovery codes for two-factor authentication.
+ *
+ * Codes are the standard authenticator-app kind: HMAC-SHA1, six digits,
+ * 30-second steps, so any app that reads an otpauth:// URI works. Codes are
+ * accepted up to TOTP_WINDOW steps either side of now to allow for clock
+ * drift; callers store the matched step and refuse steps at or before it, so
+ * a code cannot be replayed.
+ */
+
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 character');
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+};
+
+// New shared secret: 160 random bits, base32 as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// The code for one time step (RFC 4226 HOTP with the step as counter)
+const codeAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return value.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / PERIOD_SECONDS);
+
+/**
+ * Check a code against a secret.
+ * @param {string} secret - Base32 shared secret
+ * @param {string} code - Code entered by the user (spaces are ignored)
+ * @param {number} [now] - Time to check at, in milliseconds
+ * @returns {number|null} The time step the code belongs to, or null if it does not match
+ */
+const verifyCode = (secret, code, now = Date.now()) => {
+  const entered = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(entered)) return null;
+
+  const step = currentStep(now);
+  for (let offset = -config.TOTP_WINDOW; offset <= config.TOTP_WINDOW; offset++) {
+    const expected = codeAt(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(entered))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+/**
+ * otpauth:// provisioning URI for authenticator apps; render it as a QR code
+ * or give the secret for manual entry.
+ * @param {string} username - Account name shown in the app
+ * @param {string} secret - Base32 shared secret
+ * @returns {string} Key URI
+ */
+const provisioningUri = (username, secret) => {
+  const issuer = encodeURIComponent(config.TOTP_ISSUER);
+  const label = `${issuer}:${encodeURIComponent(username)}`;
+  // Spaces are encoded as %20 rather than "+", which some apps show literally
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${issuer}&algorithm=SHA1&digits=${DIGITS}&period=${PERIOD_SECONDS}`;
+};
+
+// Recovery codes are compared ignoring case and dashes
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, '').toLowerCase();
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * A fresh set of RECOVERY_CODE_COUNT recovery codes such as "k3jd9-x2m4q",
+ * with their hashes for storage. The plain codes are shown to the user once.
+ * @returns {{codes: string[], hashes: string[]}}
+ */
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: config.RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+// Recovery codes look like "xxxxx-xxxxx"; TOTP codes are six digits
+const isRecoveryCode = (code) => normalizeRecoveryCode(code).length === 10;
+
+module.exports = {
+  generateSecret,
+  verifyCode,
+  provisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  isRecoveryCode
+};
@@ -1,17 +1,282 @@
 const Joi = require('joi');
+const { WEBHOOK_EVENT_FILTERS } = require('./webhook-events');
+const { checkPassword } = require('./password-policy');
+const { API_KEY_SCOPES } = require('./api-keys');
 
-// User validation schemas
+// A new password, checked against the password policy. The account's
+// username comes from a sibling "username" key or the validation context.
+const newPassword = () => Joi.string().required().custom((value, helpers) => {
+  const username = helpers.state.ancestors[0].username || helpers.prefs.context?.username;
+  const problem = checkPassword(value, username);
+  return problem ? helpers.message({ custom: problem }) : value;
+});
+
+// User validation schemas. Only new accounts get the password policy, so
+// older, weaker passwords still work for logging in.
 const userSchema = Joi.object({
   username: Joi.string().alphanum().min(3).max(30).required(),
-  password: Joi.string().min(4).max(50).required() // 4 chars minimum as requested
+  password: newPassword()
+});
+
+const loginSchema = Joi.object({
+  username: Joi.string().alphanum().min(3).max(30).required(),
+  password: Joi.string().min(1).max(200).required()
 });
 
-// Movie validation schema
+// Password change: the current password plus a new one
+const passwordChangeSchema = Joi.object({
+  currentPassword: Joi.string().min(1).max(200).required(),
+  newPassword: newPassword()
+});
+
+// Two-factor codes: six digits from an authenticator app, or a recovery code
+const twoFactorCode = Joi.string().trim().max(20).required();
+
+// Second step of a two-factor login
+const loginVerificationSchema = Joi.object({
+  challengeToken: Joi.string().max(200).required(),
+  code: twoFactorCode
+});
+
+// One-time code from the single sign-on callback redirect
+const ssoSessionSchema = Joi.object({
+  code: Joi.string().max(200).required()
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: twoFactorCode
+});
+
+// Turning two-factor off takes the password as well as a code
+const twoFactorDisableSchema = Joi.object({
+  password: Joi.string().min(1).max(200).required(),
+  code: twoFactorCode
+});
+
+const roleTwoFactorSchema = Joi.object({
+  required: Joi.boolean().required()
+});
+
+// Password reset with an admin-issued token
+const passwordResetSchema = Joi.object({
+  username: Joi.string().alphanum().min(3).max(30).required(),
+  token: Joi.string().max(200).required(),
+  newPassword: newPassword()
+});
+
+// Refresh token exchange schema
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().max(200).required()
+});
+
+// Role assignment schema (role names are checked against the roles table)
+const roleAssignmentSchema = Joi.object({
+  roles: Joi.array().items(Joi.string().max(50)).min(1).unique().required()
+});
+
+// Cast entry: a person reference plus the character played. Extra keys (such
+// as name and billing_order in API responses) are ignored so a fetched movie
+// can be sent back as-is; billing order is the position in the array.
+const castMemberSchema = Joi.object({
+  person_id: Joi.number().integer().positive().required(),
+  character: Joi.string().max(200).allow('', null)
+}).unknown();
+
+// Genre reference: a genre id, or a genre object as returned by the API
+const genreReferenceSchema = Joi.alternatives().try(
+  Joi.number().integer().positive(),
+  Joi.object({ id: Joi.number().integer().positive().required() }).unknown()
+);
+
+// MPAA-style certifications; NR means not rated
+const CERTIFICATIONS = ['G', 'PG', 'PG-13', 'R', 'NC-17', 'NR'];
+
+// Movie validation schema. cast/genres take references to people and genres;
+// the legacy actor/genre text is still accepted (comma-separated names are
+// matched or created) when the arrays are absent.
 const movieSchema = Joi.object({
   name: Joi.string().min(1).max(100).required(),
-  actor: Joi.string().min(1).max(100).required(),
-  genre: Joi.string().min(1).max(50).required(),
-  description: Joi.string().min(1).max(500).required()
+  actor: Joi.string().min(1).max(100),
+  genre: Joi.string().min(1).max(50),
+  cast: Joi.array().items(castMemberSchema).min(1).max(50),
+  genres: Joi.array().items(genreReferenceSchema).min(1).max(10),
+  description: Joi.string().min(1).max(500).required(),
+  // Optional metadata; null clears a field, leaving it out keeps the stored value
+  release_date: Joi.date().iso().min('1870-01-01').max('2100-12-31').raw().allow(null),
+  runtime_minutes: Joi.number().integer().min(1).max(1440).allow(null),
+  certification: Joi.string().valid(...CERTIFICATIONS).allow(null),
+  original_language: Joi.string().pattern(/^[a-z]{2,3}$/).allow(null)
+    .messages({ 'string.pattern.base': '"original_language" must be a lower-case ISO 639 code such as "en"' }),
+  country: Joi.string().pattern(/^[A-Z]{2}$/).allow(null)
+    .messages({ 'string.pattern.base': '"country" must be an upper-case ISO 3166 code such as "US"' }),
+  imdb_id: Joi.string().pattern(/^tt\d{7,10}$/).allow(null)
+    .messages({ 'string.pattern.base': '"imdb_id" must look like "tt0133093"' }),
+  tmdb_id: Joi.number().integer().positive().allow(null),
+  // An http(s) URL, or the site-relative path of an uploaded poster
+  poster_url: Joi.string().uri({ scheme: ['http', 'https'], allowRelative: true })
+    .pattern(/^(https?:\/\/|\/(?!\/))/).max(500).allow(null)
+    .messages({ 'string.pattern.base': '"poster_url" must be an http(s) URL or an uploaded poster path' })
+}).or('cast', 'actor').or('genres', 'genre');
+
+// Person and genre schemas; a genre name needs a letter or digit to build its slug
+const personSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(200).required()
+});
+
+const genreSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).pattern(/[\p{L}\p{N}]/u).required()
+    .messages({ 'string.pattern.base': '"name" must contain a letter or digit' })
+});
+
+// People directory query schema
+const peopleQuerySchema = Joi.object({
+  q: Joi.string().trim().max(100),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Rating and review schema; an empty body is stored as a rating without a review
+const reviewSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(10).required(),
+  body: Joi.string().trim().max(5000).allow('', null)
+});
+
+// Review listing query schema; include_hidden is for moderators only
+const reviewListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  include_hidden: Joi.boolean().default(false)
+});
+
+// Review moderation schema
+const reviewModerationSchema = Joi.object({
+  hidden: Joi.boolean().required(),
+  reason: Joi.string().trim().max(255).allow('', null)
+});
+
+// Watchlist schemas. Updates keep the fields they leave out, like movie metadata.
+const watchlistSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  description: Joi.string().trim().max(500).allow('', null),
+  shared: Joi.boolean().default(false)
+});
+
+const watchlistUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  description: Joi.string().trim().max(500).allow('', null),
+  shared: Joi.boolean()
+}).min(1);
+
+// Webhook subscription: http(s) target and event filter (names, "movie.*" style families or "*")
+const webhookUrl = Joi.string().uri({ scheme: ['http', 'https'] }).max(500);
+const webhookEvents = Joi.array().items(Joi.string().valid(...WEBHOOK_EVENT_FILTERS)).min(1).unique();
+
+const webhookSchema = Joi.object({
+  url: webhookUrl.required(),
+  events: webhookEvents.required(),
+  description: Joi.string().trim().max(255).allow('', null),
+  active: Joi.boolean().default(true)
+});
+
+const webhookUpdateSchema = Joi.object({
+  url: webhookUrl,
+  events: webhookEvents,
+  description: Joi.string().trim().max(255).allow('', null),
+  active: Joi.boolean(),
+  rotate_secret: Joi.boolean()
+}).min(1);
+
+// Personal API key; keys are read-only unless asked otherwise
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  scope: Joi.string().valid(...API_KEY_SCOPES).default('read'),
+  expires_at: Joi.date().iso().greater('now').allow(null)
+});
+
+const webhookLogQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(1000).default(50)
+});
+
+// position is 1-based; leaving it out appends the movie
+const watchlistItemSchema = Joi.object({
+  movie_id: Joi.number().integer().positive().required(),
+  position: Joi.number().integer().min(1)
+});
+
+const watchlistOrderSchema = Joi.object({
+  movie_ids: Joi.array().items(Joi.number().integer().positive()).unique().max(1000).required()
+});
+
+// Watched log schemas; watched_on defaults to today and cannot be in the future
+const watchedSchema = Joi.object({
+  movie_id: Joi.number().integer().positive().required(),
+  watched_on: Joi.date().iso().min('1870-01-01').max('now').raw()
+});
+
+const watchedQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  movie_id: Joi.number().integer().positive()
+});
+
+const recommendationQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Movie list query schema (pagination, filters and whitelisted sort)
+// A leading '-' on sort means descending order
+const MOVIE_SORT_FIELDS = ['name', 'actor', 'genre', 'release_date', 'runtime_minutes', 'created_at', 'updated_at'];
+
+const movieListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  genre: Joi.string().max(50),
+  actor: Joi.string().max(100),
+  updated_by: Joi.string().max(50),
+  created_from: Joi.date().iso(),
+  // Kept as sent: a bare date as the upper bound covers that whole day
+  created_to: Joi.date().iso().raw(),
+  updated_from: Joi.date().iso(),
+  updated_to: Joi.date().iso().raw(),
+  year: Joi.number().integer().min(1870).max(2100),
+  released_from: Joi.date().iso().raw(),
+  released_to: Joi.date().iso().raw(),
+  runtime_min: Joi.number().integer().min(1),
+  runtime_max: Joi.number().integer().min(1),
+  certification: Joi.string().valid(...CERTIFICATIONS),
+  language: Joi.string().lowercase().pattern(/^[a-z]{2,3}$/),
+  country: Joi.string().uppercase().pattern(/^[A-Z]{2}$/),
+  imdb_id: Joi.string().pattern(/^tt\d{7,10}$/),
+  tmdb_id: Joi.number().integer().positive(),
+  sort: Joi.string()
+    .valid(...MOVIE_SORT_FIELDS, ...MOVIE_SORT_FIELDS.map((field) => `-${field}`))
+    .default('-created_at')
+});
+
+// Catalogue export: the listing filters and sort, without pagination
+const movieExportQuerySchema = movieListQuerySchema.keys({
+  page: Joi.forbidden(),
+  limit: Joi.forbidden(),
+  format: Joi.string().valid('csv', 'json').default('json')
+});
+
+// Catalogue import options
+const movieImportQuerySchema = Joi.object({
+  dryRun: Joi.boolean().default(false),
+  onConflict: Joi.string().valid('skip', 'update', 'error').default('skip')
+});
+
+// Full-text search query schema
+const movieSearchQuerySchema = Joi.object({
+  q: Joi.string().trim().min(1).max(100).required(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(20)
+});
+
+// Revision diff query schema
+const revisionDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  to: Joi.number().integer().min(1).required()
 });
 
 // Validation middleware
@@ -23,6 +288,77 @@ const validateUser = (req, res, next) => {
   next();
 };
 
+const validateLogin = (req, res, next) => {
+  const { error } = loginSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  next();
+};
+
+// Mount after verifyToken: the new password may not contain the username
+const validatePasswordChange = (req, res, next) => {
+  const { error } = passwordChangeSchema.validate(req.body, { context: { username: req.user.username } });
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  next();
+};
+
+const validatePasswordReset = (req, res, next) => {
+  const { error } = passwordResetSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  next();
+};
+
+const validateSsoSession = (req, res, next) => {
+  const { error } = ssoSessionSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  next();
+};
+
+// Replaces req.body with the trimmed code
+const validateLoginVerification = (req, res, next) => {
+  const { error, value } = loginVerificationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+// Replaces req.body with the trimmed code
+const validateTwoFactorCode = (req, res, next) => {
+  const { error, value } = twoFactorCodeSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+// Replaces req.body with the trimmed code
+const validateTwoFactorDisable = (req, res, next) => {
+  const { error, value } = twoFactorDisableSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateRoleTwoFactor = (req, res, next) => {
+  const { error } = roleTwoFactorSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  next();
+};
+
 const validateMovie = (req, res, next) => {
   const { error } = movieSchema.validate(req.body);
   if (error) {
@@ -31,4 +367,256 @@ const validateMovie = (req, res, next) => {
   next();
 };
 
-module.exports = { validateUser, validateMovie };
+// Replaces req.body with the trimmed name
+const validatePerson = (req, res, next) => {
+  const { error, value } = personSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateGenre = (req, res, next) => {
+  const { error, value } = genreSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validatePeopleQuery = (req, res, next) => {
+  const { error, value } = peopleQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+const validateReview = (req, res, next) => {
+  const { error, value } = reviewSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateReviewQuery = (req, res, next) => {
+  const { error, value } = reviewListQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+const validateReviewModeration = (req, res, next) => {
+  const { error, value } = reviewModerationSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateWatchlist = (req, res, next) => {
+  const { error, value } = watchlistSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateWatchlistUpdate = (req, res, next) => {
+  const { error, value } = watchlistUpdateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateApiKey = (req, res, next) => {
+  const { error, value } = apiKeySchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateWebhook = (req, res, next) => {
+  const { error, value } = webhookSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateWebhookUpdate = (req, res, next) => {
+  const { error, value } = webhookUpdateSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateWebhookLogQuery = (req, res, next) => {
+  const { error, value } = webhookLogQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+const validateWatchlistItem = (req, res, next) => {
+  const { error, value } = watchlistItemSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateWatchlistOrder = (req, res, next) => {
+  const { error, value } = watchlistOrderSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateWatched = (req, res, next) => {
+  const { error, value } = watchedSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateWatchedQuery = (req, res, next) => {
+  const { error, value } = watchedQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+const validateRecommendationQuery = (req, res, next) => {
+  const { error, value } = recommendationQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+const validateRefreshToken = (req, res, next) => {
+  const { error } = refreshTokenSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  next();
+};
+
+const validateRoleAssignment = (req, res, next) => {
+  const { error } = roleAssignmentSchema.validate(req.body);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  next();
+};
+
+// Replaces req.query with the validated values so defaults are applied
+const validateMovieQuery = (req, res, next) => {
+  const { error, value } = movieListQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+const validateMovieExport = (req, res, next) => {
+  const { error, value } = movieExportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+const validateMovieImport = (req, res, next) => {
+  const { error, value } = movieImportQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+const validateMovieSearch = (req, res, next) => {
+  const { error, value } = movieSearchQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+const validateRevisionDiff = (req, res, next) => {
+  const { error, value } = revisionDiffQuerySchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+  req.query = value;
+  next();
+};
+
+module.exports = {
+  movieSchema,
+  validateUser,
+  validateLogin,
+  validatePasswordChange,
+  validatePasswordReset,
+  validateLoginVerification,
+  validateSsoSession,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateRoleTwoFactor,
+  validateMovie,
+  validateMovieQuery,
+  validateMovieExport,
+  validateMovieImport,
+  validateMovieSearch,
+  validatePerson,
+  validateGenre,
+  validatePeopleQuery,
+  validateReview,
+  validateReviewQuery,
+  validateReviewModeration,
+  validateWatchlist,
+  validateWatchlistUpdate,
+  validateWatchlistItem,
+  validateWatchlistOrder,
+  validateWatched,
+  validateWatchedQuery,
+  validateRecommendationQuery,
+  validateApiKey,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateWebhookLogQuery,
+  validateRefreshToken,
+  validateRoleAssignment,
+  validateRevisionDiff
+};
@@ -0,0 +1,26 @@
+/**
+ * Webhook event names and the filters a subscription may use. Kept apart
+ * from webhooks.js so validation can use them without loading the database
+ * and Redis clients.
+ */
+
+const WEBHOOK_EVENTS = [
+  'movie.created',
+  'movie.updated',
+  'movie.deleted',
+  'user.created',
+  'user.deleted',
+  'user.roles_updated'
+];
+
+// Filter entries: an event name, a family such as "movie.*", or "*"
+const WEBHOOK_EVENT_FILTERS = [
+  ...WEBHOOK_EVENTS,
+  ...new Set(WEBHOOK_EVENTS.map((event) => `${event.split('.')[0]}.*`)),
+  '*'
+];
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_FILTERS
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const config = require('./config');
+const database = require('./database');
+const redisClient = require('./redis-client');
+const { logger } = require('./logging');
+const { WEBHOOK_EVENTS, WEBHOOK_EVENT_FILTERS } = require('./webhook-events');
+
+/**
+ * Outbound webhooks.
+ *
+ * dispatch() queues one delivery per active webhook whose event filter
+ * matches; processQueue(), run periodically by the server, POSTs due
+ * deliveries to their webhook's URL. Failed attempts (network error, timeout
+ * or non-2xx status, redirects included) are retried after
+ * WEBHOOK_RETRY_BASE_MS, doubling each time, until WEBHOOK_MAX_ATTEMPTS is
+ * reached and the delivery goes to the dead-letter list.
+ *
+ * Each request carries:
+ *   X-Webhook-Event      - event name, e.g. movie.updated
+ *   X-Webhook-Delivery   - delivery id, the same on every retry
+ *   X-Webhook-Timestamp  - Unix time of this attempt
+ *   X-Webhook-Signature  - sha256=<hex HMAC-SHA256 of "<timestamp>.<body>"
+ *                          keyed with the webhook secret>
+ * and a JSON body: { id, event, occurred_at, actor, data }.
+ */
+
+const matchesFilter = (filter, event) => filter.some((pattern) => pattern === '*'
+  || pattern === event
+  || (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1))));
+
+// Active webhooks are cached briefly so a burst of events (a bulk import)
+// does not query the database for each one. Changes made through this
+// replica clear the cache; other replicas see them within the TTL.
+const ACTIVE_CACHE_MS = 10 * 1000;
+let activeCache = null;
+
+const activeWebhooks = async () => {
+  if (!activeCache || Date.now() - activeCache.loadedAt > ACTIVE_CACHE_MS) {
+    activeCache = { webhooks: await database.getActiveWebhooks(), loadedAt: Date.now() };
+  }
+  return activeCache.webhooks;
+};
+
+const clearWebhookCache = () => {
+  activeCache = null;
+};
+
+const sign = (secret, timestamp, body) => crypto.createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex');
+
+// Queues one delivery of an event to a webhook; resolves to the delivery id
+// or null when the queue (Redis) is unavailable
+const enqueue = async (webhook, event, data, actor) => {
+  const id = crypto.randomUUID();
+  const createdAt = new Date().toISOString();
+  const delivery = {
+    id,
+    webhook_id: webhook.id,
+    event,
+    body: JSON.stringify({ id, event, occurred_at: createdAt, actor: actor || null, data }),
+    attempt: 0,
+    created_at: createdAt
+  };
+  if (!await redisClient.enqueueWebhookDelivery(delivery, Date.now())) {
+    logger.error('Webhook delivery dropped: queue unavailable', { webhookId: webhook.id, event });
+    return null;
+  }
+  return id;
+};
+
+/**
+ * Queue an event for every active webhook subscribed to it. Never throws:
+ * a failure is logged and must not fail the change that caused it.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload
+ * @param {string} [actor] - Username that made the change
+ */
+const dispatch = async (event, data, actor) => {
+  try {
+    const webhooks = (await activeWebhooks()).filter((webhook) => matchesFilter(webhook.events, event));
+    for (const webhook of webhooks) {
+      await enqueue(webhook, event, data, actor);
+    }
+  } catch (error) {
+    logger.error('Webhook dispatch error:', error);
+  }
+};
+
+/**
+ * Queue a webhook.test event for one webhook, whatever its filter or
+ * active flag, so an admin can check the receiver.
+ * @returns {Promise<string|null>} Delivery id, or null if the queue is unavailable
+ */
+const sendTest = (webhook, actor) => enqueue(webhook, 'webhook.test', { webhook_id: webhook.id }, actor);
+
+// Puts a dead letter back on the queue with a fresh set of attempts;
+// resolves to false if there is no such dead letter
+const redeliver = async (deliveryId) => {
+  const record = await redisClient.takeWebhookDeadLetter(deliveryId);
+  if (!record) return false;
+  const { failed_at: failedAt, error, status, ...delivery } = record;
+  await redisClient.enqueueWebhookDelivery({ ...delivery, attempt: 0 }, Date.now());
+  return true;
+};
+
+// One attempt at a claimed delivery, then complete, retry or dead-letter it
+const attemptDelivery = async (delivery) => {
+  const webhook = await database.getWebhook(delivery.webhook_id, { withSecret: true });
+  if (!webhook) {
+    // Deleted since the event was queued
+    return redisClient.completeWebhookDelivery(delivery);
+  }
+
+  const attempt = delivery.attempt + 1;
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const started = Date.now();
+  let status = null;
+  let error = null;
+  if (!webhook.active && delivery.event !== 'webhook.test') {
+    error = 'Webhook is disabled';
+  } else {
+    try {
+      const res = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'movie-list-webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': `sha256=${sign(webhook.secret, timestamp, delivery.body)}`
+        },
+        body: delivery.body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS)
+      });
+      status = res.status;
+      // The response body is not used; discard it so the connection is freed
+      await res.body?.cancel();
+      if (!res.ok) error = `HTTP ${res.status}`;
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${config.WEBHOOK_TIMEOUT_MS} ms` : (err.cause?.message || err.message);
+    }
+  }
+
+  await redisClient.logWebhookAttempt(webhook.id, {
+    delivery_id: delivery.id,
+    event: delivery.event,
+    attempt,
+    status,
+    error,
+    duration_ms: Date.now() - started,
+    at: new Date().toISOString()
+  });
+
+  if (!error) {
+    return redisClient.completeWebhookDelivery(delivery);
+  }
+  if (attempt >= config.WEBHOOK_MAX_ATTEMPTS || !webhook.active) {
+    logger.warn('Webhook delivery dead-lettered', { webhookId: webhook.id, deliveryId: delivery.id, error });
+    return redisClient.deadLetterWebhookDelivery(delivery, {
+      ...delivery,
+      attempt,
+      status,
+      error,
+      failed_at: new Date().toISOString()
+    });
+  }
+  const delay = config.WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1);
+  return redisClient.retryWebhookDelivery(delivery, { ...delivery, attempt }, Date.now() + delay);
+};
+
+// Skips a poll while the previous batch is still being delivered
+let processing = false;
+
+/**
+ * Deliver the deliveries that are due, up to WEBHOOK_BATCH_SIZE at once.
+ * Safe to run on every replica: each delivery is claimed by one of them.
+ */
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+  try {
+    // Long enough for an attempt to time out before another worker may retry it
+    const leaseUntil = Date.now() + config.WEBHOOK_TIMEOUT_MS * 2 + 5000;
+    const due = await redisClient.claimWebhookDeliveries(Date.now(), leaseUntil, config.WEBHOOK_BATCH_SIZE);
+    await Promise.all(due.map((delivery) => attemptDelivery(delivery).catch((error) => {
+      logger.error('Webhook delivery error:', error);
+    })));
+  } finally {
+    processing = false;
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_FILTERS,
+  dispatch,
+  sendTest,
+  redeliver,
+  processQueue,
+  clearWebhookCache,
+  sign
+};
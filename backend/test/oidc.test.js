@@ -0,0 +1,106 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+
+const { startMockProvider } = require('../scripts/mock-oidc');
+
+const REDIRECT_URI = 'http://localhost:3000/api/auth/oidc/callback';
+
+let provider;
+let oidc;
+let redisClient;
+
+before(async () => {
+  provider = await startMockProvider();
+  process.env.OIDC_ISSUER = provider.issuer;
+  process.env.OIDC_CLIENT_ID = 'movie-list';
+  process.env.OIDC_GROUPS_CLAIM = 'groups';
+
+  // Sign-in state lives in Redis; keep it in memory instead
+  redisClient = require('../src/redis-client');
+  const states = new Map();
+  redisClient.saveOidcState = async (state, data) => {
+    states.set(state, data);
+    return true;
+  };
+  redisClient.takeOidcState = async (state) => {
+    const data = states.get(state);
+    states.delete(state);
+    return data || null;
+  };
+  oidc = require('../src/oidc');
+});
+
+after(async () => {
+  await provider.close();
+  await redisClient.client.disconnect().catch(() => {});
+});
+
+// Signs in at the mock provider's form as the browser would, and returns the
+// query the provider redirects back to the callback with
+const signInAtProvider = async (authorizationUrl, { username, groups = '' }) => {
+  const url = new URL(authorizationUrl);
+  const form = new URLSearchParams(url.searchParams);
+  form.set('username', username);
+  form.set('groups', groups);
+  const res = await fetch(`${provider.issuer}/authorize`, { method: 'POST', body: form, redirect: 'manual' });
+  assert.strictEqual(res.status, 302);
+  const callback = new URL(res.headers.get('location'));
+  assert.strictEqual(`${callback.origin}${callback.pathname}`, REDIRECT_URI);
+  return Object.fromEntries(callback.searchParams);
+};
+
+test('signs in through the provider and returns verified claims', async () => {
+  const { url, cookie } = await oidc.startSignIn(REDIRECT_URI);
+  const params = new URL(url).searchParams;
+  assert.strictEqual(params.get('code_challenge_method'), 'S256');
+  assert.strictEqual(params.get('client_id'), 'movie-list');
+
+  const query = await signInAtProvider(url, { username: 'jane.doe', groups: 'movie-admins, staff' });
+  const claims = await oidc.finishSignIn(query, cookie);
+
+  assert.strictEqual(claims.iss, provider.issuer);
+  assert.strictEqual(claims.aud, 'movie-list');
+  assert.strictEqual(claims.preferred_username, 'jane.doe');
+  assert.ok(claims.sub);
+  assert.deepStrictEqual(oidc.groupsFrom(claims), ['movie-admins', 'staff']);
+  assert.strictEqual(oidc.usernameFrom(claims), 'janedoe');
+});
+
+test('refuses a callback without the state cookie of the browser that started it', async () => {
+  const { url } = await oidc.startSignIn(REDIRECT_URI);
+  const query = await signInAtProvider(url, { username: 'mallory' });
+
+  // The victim's browser carries no cookie, or one from its own sign-in
+  const { cookie: otherCookie } = await oidc.startSignIn(REDIRECT_URI);
+  for (const cookie of [undefined, otherCookie]) {
+    await assert.rejects(oidc.finishSignIn(query, cookie), (error) => {
+      assert.strictEqual(error.status, 400);
+      assert.match(error.message, /not started from this browser/);
+      return true;
+    });
+  }
+});
+
+test('accepts each state only once', async () => {
+  const { url, cookie } = await oidc.startSignIn(REDIRECT_URI);
+  const query = await signInAtProvider(url, { username: 'jane.doe' });
+  await oidc.finishSignIn(query, cookie);
+
+  await assert.rejects(oidc.finishSignIn(query, cookie), /expired or was already used/);
+});
+
+test('reports a sign-in the provider refused', async () => {
+  const { url, cookie } = await oidc.startSignIn(REDIRECT_URI);
+  const { state } = Object.fromEntries(new URL(url).searchParams);
+
+  await assert.rejects(
+    oidc.finishSignIn({ state, error: 'access_denied', error_description: 'User cancelled' }, cookie),
+    /refused the sign-in: User cancelled/
+  );
+});
+
+test('makes usernames from claims like registration does', () => {
+  assert.strictEqual(oidc.usernameFrom({ sub: 'a', preferred_username: 'john.doe@corp.example' }), 'johndoe');
+  assert.match(oidc.usernameFrom({ sub: 'a', preferred_username: 'jd' }), /^user[0-9a-f]{8}$/);
+  assert.match(oidc.uniqueUsernameFrom({ sub: 'a', preferred_username: 'johndoe' }), /^johndoe[0-9a-f]{8}$/);
+});
@@ -0,0 +1,79 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+let uploadDir;
+let sharp;
+let posters;
+let storage;
+
+// A small solid-colour PNG; each colour is a different poster
+const image = (r, g, b) => sharp({
+  create: { width: 200, height: 300, channels: 3, background: { r, g, b } }
+}).png().toBuffer();
+
+before(async () => {
+  uploadDir = await fs.mkdtemp(path.join(os.tmpdir(), 'posters-test-'));
+  process.env.UPLOAD_DIR = uploadDir;
+  sharp = require('sharp');
+  posters = require('../src/posters');
+  storage = require('../src/storage');
+});
+
+after(async () => {
+  await fs.rm(uploadDir, { recursive: true, force: true });
+});
+
+const allStored = async (images) => {
+  const stored = await Promise.all(posters.posterKeys(images).map((key) => storage.exists(key)));
+  return stored.every(Boolean);
+};
+
+test('removes a replaced poster and keeps the one that replaced it', async () => {
+  const first = await posters.storePoster(1, await image(200, 0, 0));
+  const second = await posters.storePoster(1, await image(0, 0, 200));
+  assert.ok(await allStored(first.images));
+
+  await posters.removeReplacedPoster(first.images, second.images);
+
+  assert.strictEqual(await storage.exists(first.keys[0]), false);
+  assert.ok(await allStored(second.images));
+
+  // Purging the movie leaves nothing behind
+  await posters.removeReplacedPoster(second.images);
+  assert.strictEqual(await storage.exists(second.keys[0]), false);
+});
+
+test('keeps files when the same image is uploaded again', async () => {
+  const buffer = await image(0, 200, 0);
+  const first = await posters.storePoster(2, buffer);
+  const again = await posters.storePoster(2, buffer);
+
+  await posters.removeReplacedPoster(first.images, again.images);
+
+  assert.ok(await allStored(again.images));
+});
+
+test('clears the poster of a revision whose files were deleted', async () => {
+  const old = await posters.storePoster(3, await image(90, 90, 0));
+  const current = await posters.storePoster(3, await image(0, 90, 90));
+  await posters.removeReplacedPoster(old.images, current.images);
+
+  const snapshot = { name: 'Heat', poster_url: old.images.original, poster_images: old.images };
+  const restored = await posters.withStoredPoster(snapshot);
+
+  assert.strictEqual(restored.name, 'Heat');
+  assert.strictEqual(restored.poster_url, null);
+  assert.strictEqual(restored.poster_images, null);
+});
+
+test('restores posters whose files are still stored, and posters hosted elsewhere', async () => {
+  const stored = await posters.storePoster(4, await image(30, 60, 90));
+  const snapshot = { poster_url: stored.images.original, poster_images: stored.images };
+  assert.deepStrictEqual(await posters.withStoredPoster(snapshot), snapshot);
+
+  const external = { poster_url: 'https://images.example/heat.jpg', poster_images: null };
+  assert.deepStrictEqual(await posters.withStoredPoster(external), external);
+});
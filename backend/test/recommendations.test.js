@@ -0,0 +1,52 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+
+const database = require('../src/database');
+const redisClient = require('../src/redis-client');
+const { recommendFor } = require('../src/recommendations');
+
+// Movies 1-6; the user liked 1, and the best rated are 6, 5 and 4 in that order
+const movie = (id) => ({ id, name: `Movie ${id}`, rating_average: 4 + id });
+let table;
+
+database.getUserTasteSignals = async () => ({ ratings: [{ movie_id: 1, rating: 9 }], watched: [] });
+database.getMoviesByIds = async (ids) => ids.map(movie);
+database.getTopRatedMovies = async (excludeIds, limit) => [6, 5, 4, 3, 2]
+  .filter((id) => !excludeIds.includes(id))
+  .slice(0, limit)
+  .map(movie);
+redisClient.getMovieSimilarity = async (movieIds) => ({
+  table: Object.fromEntries(movieIds.filter((id) => table[id]).map((id) => [id, table[id]])),
+  computedAt: '2024-08-14T09:00:00.000Z'
+});
+
+after(async () => {
+  await redisClient.client.disconnect().catch(() => {});
+  await database.usersPool.end();
+  await database.moviesPool.end();
+});
+
+test('recommends neighbours of liked movies first', async () => {
+  table = { 1: { content: [[2, 0.8]], collaborative: [[3, 0.5]] } };
+  const { recommendations } = await recommendFor('jane', 2);
+
+  assert.deepStrictEqual(recommendations.map(({ movie: { id } }) => id), [2, 3]);
+  assert.deepStrictEqual(recommendations.map(({ reason }) => reason.type), ['content', 'collaborative']);
+});
+
+test('falls back to popular movies when the table has no entry for the seeds', async () => {
+  table = {};
+  const { recommendations, computedAt } = await recommendFor('jane', 2);
+
+  assert.deepStrictEqual(recommendations.map(({ movie: { id } }) => id), [6, 5]);
+  assert.ok(recommendations.every(({ reason }) => reason.type === 'popular'));
+  assert.strictEqual(computedAt, '2024-08-14T09:00:00.000Z');
+});
+
+test('tops up a short list with popular movies not already recommended', async () => {
+  table = { 1: { content: [[5, 0.8]], collaborative: [] } };
+  const { recommendations } = await recommendFor('jane', 3);
+
+  assert.deepStrictEqual(recommendations.map(({ movie: { id } }) => id), [5, 6, 4]);
+  assert.deepStrictEqual(recommendations.map(({ reason }) => reason.type), ['content', 'popular', 'popular']);
+});
@@ -0,0 +1,109 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+
+// Record audit log entries; security.js picks logAuth up when it is loaded
+const logging = require('../src/logging');
+let audit;
+logging.logAuth = (action, username, success, details) => {
+  audit.push({ action, username, success, details });
+};
+
+const database = require('../src/database');
+const redisClient = require('../src/redis-client');
+const { verifyToken, requireSession } = require('../src/security');
+
+const API_KEY = 'mlk_test-key';
+
+database.findApiKey = async () => ({
+  id: 3,
+  name: 'ci',
+  scope: 'write',
+  expired: false,
+  username: 'admin',
+  roles: ['admin'],
+  permissions: []
+});
+database.touchApiKey = async () => {};
+
+const request = (method, path) => ({
+  method,
+  originalUrl: path,
+  ip: '127.0.0.1',
+  headers: { 'x-api-key': API_KEY },
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  }
+});
+
+const response = () => {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.writableFinished = false;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+// Runs the middleware chain as Express would, stopping where one answers
+const run = async (req, res, ...middleware) => {
+  for (const handler of middleware) {
+    let called = false;
+    await handler(req, res, () => { called = true; });
+    if (!called) return false;
+  }
+  return true;
+};
+
+beforeEach(() => {
+  audit = [];
+});
+
+after(async () => {
+  await redisClient.client.disconnect().catch(() => {});
+  await database.usersPool.end();
+  await database.moviesPool.end();
+});
+
+test('refuses API keys on routes that require a session', async () => {
+  const req = request('DELETE', '/api/admin/users/jane');
+  const res = response();
+
+  assert.strictEqual(await run(req, res, verifyToken, requireSession), false);
+  assert.strictEqual(res.statusCode, 403);
+  assert.match(res.body.error, /API keys cannot be used here/);
+  assert.ok(audit.some((entry) => entry.action === 'API_KEY_SCOPE_DENIED'));
+});
+
+test('logs a key request once when the response finishes', async () => {
+  const res = response();
+  assert.strictEqual(await run(request('GET', '/api/movies'), res, verifyToken), true);
+
+  res.writableFinished = true;
+  res.emit('finish');
+  res.emit('close');
+
+  const logged = audit.filter((entry) => entry.action === 'API_KEY_REQUEST');
+  assert.strictEqual(logged.length, 1);
+  assert.strictEqual(logged[0].success, true);
+  assert.strictEqual(logged[0].details.completed, true);
+});
+
+test('logs a key request whose client disconnects before it finishes', async () => {
+  const res = response();
+  assert.strictEqual(await run(request('GET', '/api/events'), res, verifyToken), true);
+
+  res.emit('close');
+
+  const logged = audit.filter((entry) => entry.action === 'API_KEY_REQUEST');
+  assert.strictEqual(logged.length, 1);
+  assert.strictEqual(logged[0].success, false);
+  assert.strictEqual(logged[0].details.completed, false);
+  assert.strictEqual(logged[0].details.path, '/api/events');
+});
@@ -0,0 +1,137 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+process.env.WEBHOOK_RETRY_BASE_MS = '1';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const database = require('../src/database');
+const redisClient = require('../src/redis-client');
+const webhooks = require('../src/webhooks');
+const { startReceiver } = require('../scripts/webhook-receiver');
+
+const SECRET = 'test-secret';
+
+// In-memory stand-ins for the Redis delivery queue and the webhooks table
+let queue;
+let completed;
+let deadLetters;
+let attempts;
+let webhook;
+
+redisClient.enqueueWebhookDelivery = async (delivery, dueAt) => {
+  queue.set(delivery.id, { delivery, dueAt });
+  return true;
+};
+redisClient.claimWebhookDeliveries = async (now) => {
+  const due = [...queue.values()].filter((entry) => entry.dueAt <= now).map((entry) => entry.delivery);
+  due.forEach((delivery) => queue.delete(delivery.id));
+  return due;
+};
+redisClient.completeWebhookDelivery = async (delivery) => {
+  completed.push(delivery);
+  return true;
+};
+redisClient.retryWebhookDelivery = async (delivery, next, dueAt) => {
+  queue.set(next.id, { delivery: next, dueAt });
+  return true;
+};
+redisClient.deadLetterWebhookDelivery = async (delivery, record) => {
+  deadLetters.push(record);
+  return true;
+};
+redisClient.logWebhookAttempt = async (webhookId, entry) => {
+  attempts.push(entry);
+  return true;
+};
+database.getActiveWebhooks = async () => (webhook.active ? [webhook] : []);
+database.getWebhook = async () => webhook;
+
+// Polls the queue until it is empty, as the server's interval would
+const drainQueue = async () => {
+  for (let poll = 0; poll < 50 && queue.size > 0; poll++) {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await webhooks.processQueue();
+  }
+};
+
+const withReceiver = async (options, run) => {
+  const receiver = await startReceiver({ secret: SECRET, ...options });
+  webhook = { id: 1, url: receiver.url, events: ['movie.*'], active: true, secret: SECRET };
+  try {
+    await run(receiver);
+  } finally {
+    await receiver.close();
+  }
+};
+
+beforeEach(() => {
+  queue = new Map();
+  completed = [];
+  deadLetters = [];
+  attempts = [];
+  webhooks.clearWebhookCache();
+});
+
+after(async () => {
+  await redisClient.client.disconnect().catch(() => {});
+  await database.usersPool.end();
+  await database.moviesPool.end();
+});
+
+test('delivers a signed event to a subscribed webhook', async () => {
+  await withReceiver({}, async (receiver) => {
+    await webhooks.dispatch('movie.updated', { id: 7, name: 'Heat' }, 'admin');
+    await drainQueue();
+
+    assert.strictEqual(receiver.requests.length, 1);
+    const [request] = receiver.requests;
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.headers['x-webhook-event'], 'movie.updated');
+    assert.strictEqual(request.signatureValid, true);
+
+    const body = JSON.parse(request.body);
+    assert.strictEqual(body.event, 'movie.updated');
+    assert.strictEqual(body.actor, 'admin');
+    assert.deepStrictEqual(body.data, { id: 7, name: 'Heat' });
+    assert.strictEqual(body.id, request.headers['x-webhook-delivery']);
+    assert.strictEqual(completed.length, 1);
+  });
+});
+
+test('skips webhooks whose filter does not match the event', async () => {
+  await withReceiver({}, async (receiver) => {
+    webhook.events = ['user.*'];
+    await webhooks.dispatch('movie.created', { id: 7 }, 'admin');
+    await drainQueue();
+
+    assert.strictEqual(receiver.requests.length, 0);
+    assert.strictEqual(completed.length, 0);
+  });
+});
+
+test('retries a failed delivery and completes it once the receiver recovers', async () => {
+  await withReceiver({ status: (count) => (count === 1 ? 503 : 204) }, async (receiver) => {
+    await webhooks.dispatch('movie.deleted', { id: 7 }, 'admin');
+    await drainQueue();
+
+    assert.strictEqual(receiver.requests.length, 2);
+    const [first, second] = receiver.requests;
+    assert.strictEqual(first.headers['x-webhook-delivery'], second.headers['x-webhook-delivery']);
+    assert.deepStrictEqual(attempts.map((attempt) => attempt.status), [503, 204]);
+    assert.strictEqual(completed.length, 1);
+    assert.strictEqual(deadLetters.length, 0);
+  });
+});
+
+test('dead-letters a delivery after WEBHOOK_MAX_ATTEMPTS failures', async () => {
+  await withReceiver({ status: () => 500 }, async (receiver) => {
+    await webhooks.dispatch('movie.created', { id: 7 }, 'admin');
+    await drainQueue();
+
+    assert.strictEqual(receiver.requests.length, 3);
+    assert.strictEqual(completed.length, 0);
+    assert.strictEqual(deadLetters.length, 1);
+    assert.strictEqual(deadLetters[0].attempt, 3);
+    assert.strictEqual(deadLetters[0].error, 'HTTP 500');
+  });
+});
@@ -10,9 +10,15 @@ const showMessage = (msg, isError = true) => {
 const token = () => localStorage.getItem('token');
 const setToken = (t) => localStorage.setItem('token', t);
 const clearToken = () => localStorage.removeItem('token');
+const refreshToken = () => localStorage.getItem('refreshToken');
+const setRefreshToken = (t) => localStorage.setItem('refreshToken', t);
+const clearRefreshToken = () => localStorage.removeItem('refreshToken');
 const setUsername = (username) => localStorage.setItem('username', username);
 const getUsername = () => localStorage.getItem('username');
 const clearUsername = () => localStorage.removeItem('username');
+const setPermissions = (permissions) => localStorage.setItem('permissions', JSON.stringify(permissions || []));
+const clearPermissions = () => localStorage.removeItem('permissions');
+const can = (permission) => JSON.parse(localStorage.getItem('permissions') || '[]').includes(permission);
 
 const showApp = (show) => {
   document.getElementById('auth-section').style.display = show ? 'none' : 'block';
@@ -21,6 +27,71 @@ const showApp = (show) => {
   if (show && getUsername()) {
     document.getElementById('current-username').textContent = getUsername();
   }
+  
+  // Only editors and above may add movies; the server enforces this too
+  document.getElementById('add-movie-tab').style.display = can('movies:write') ? '' : 'none';
+};
+
+// Concurrent 401s share one refresh call so the single-use refresh token is only spent once.
+// Every tab shares the stored tokens, so tabs also take turns through a lock
+// (where the browser has navigator.locks), and a tab whose expired access
+// token was already replaced by another tab retries with the new one instead
+// of spending the refresh token again, which the server would treat as reuse.
+let refreshInFlight = null;
+
+const withRefreshLock = (refresh) => (navigator.locks
+  ? navigator.locks.request('session-refresh', refresh)
+  : refresh());
+
+const refreshSession = (expiredToken) => {
+  if (!refreshInFlight) {
+    refreshInFlight = withRefreshLock(async () => {
+      if (token() !== expiredToken) return Boolean(token());
+      const res = await fetch(`${apiBase}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken: refreshToken() })
+      });
+      if (!res.ok) return false;
+      const data = await res.json();
+      setToken(data.token);
+      setRefreshToken(data.refreshToken);
+      return true;
+    })
+      .catch(() => false)
+      .finally(() => { refreshInFlight = null; });
+  }
+  return refreshInFlight;
+};
+
+const endSession = () => {
+  disconnectEvents();
+  clearToken();
+  clearRefreshToken();
+  clearUsername();
+  clearPermissions();
+  showApp(false);
+  clearForm();
+  // A newly created API key must not stay on screen for the next user
+  document.getElementById('api-key-created').style.display = 'none';
+};
+
+// Authenticated fetch: on a 401 refresh the access token and retry the request once
+const apiFetch = async (url, options = {}, retry = true) => {
+  const sentToken = token();
+  const res = await fetch(url, {
+    ...options,
+    headers: { ...options.headers, 'Authorization': `Bearer ${sentToken}` }
+  });
+
+  if (res.status === 401 && retry && refreshToken()) {
+    if (await refreshSession(sentToken)) {
+      return apiFetch(url, options, false);
+    }
+    endSession();
+    showMessage('Session expired, please login again');
+  }
+  return res;
 };
 
 const switchTab = (evt, tabName) => {
@@ -43,47 +114,486 @@ const switchAppTab = (evt, tabName) => {
   
   document.getElementById(tabName).classList.add('active');
   evt.currentTarget.classList.add('active');
+
+  if (tabName === 'lists-content') {
+    loadMyLists();
+    loadWatched();
+    loadRecommendations();
+  }
+  if (tabName === 'account-content') {
+    loadTwoFactorStatus();
+    loadApiKeys();
+  }
+};
+
+const pageSize = 20;
+let currentPage = 1;
+let currentPagination = null;
+
+// Builds the list query string from the filter form, skipping empty fields
+const movieQuery = () => {
+  const params = new URLSearchParams({ page: currentPage, limit: pageSize });
+  const filters = {
+    genre: document.getElementById('filter-genre').value.trim(),
+    actor: document.getElementById('filter-actor').value.trim(),
+    updated_by: document.getElementById('filter-updated-by').value.trim(),
+    year: document.getElementById('filter-year').value,
+    certification: document.getElementById('filter-certification').value,
+    language: document.getElementById('filter-language').value.trim(),
+    country: document.getElementById('filter-country').value.trim(),
+    sort: document.getElementById('filter-sort').value
+  };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params.toString();
+};
+
+const renderPagination = ({ page, totalPages, total }) => {
+  document.getElementById('page-info').textContent =
+    `Page ${totalPages ? page : 0} of ${totalPages} (${total} movies)`;
+  document.getElementById('prev-page-btn').disabled = page <= 1;
+  document.getElementById('next-page-btn').disabled = page >= totalPages;
+};
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Escapes search highlights but keeps the <mark> tags the server wraps matches in
+const highlight = (text) => escapeHtml(text)
+  .replace(/&lt;mark&gt;/g, '<mark>')
+  .replace(/&lt;\/mark&gt;/g, '</mark>');
+
+// Display text for a movie's (or snapshot's) cast and genres; falls back to
+// the legacy actor/genre text for revisions recorded before the cast list existed
+const castText = (movie) => (movie.cast
+  ? movie.cast.map((member) => (member.character ? `${member.name} (${member.character})` : member.name)).join(', ')
+  : movie.actor);
+const genreText = (movie) => (movie.genres ? movie.genres.map((genre) => genre.name).join(', ') : movie.genre);
+
+// One line of catalogue metadata, e.g. "1999 · 136 min · R · EN · US"
+const metadataText = (movie) => [
+  movie.release_date && movie.release_date.slice(0, 4),
+  movie.runtime_minutes && `${movie.runtime_minutes} min`,
+  movie.certification,
+  movie.original_language && movie.original_language.toUpperCase(),
+  movie.country
+].filter(Boolean).join(' · ');
+
+// Uploaded posters are shown from their thumbnails (the browser picks the width
+// it needs); external posters only from http(s) URLs, which the server also enforces
+const posterHtml = (movie) => {
+  const thumbnails = movie.poster_images && movie.poster_images.thumbnails;
+  if (thumbnails && thumbnails['160']) {
+    const srcset = thumbnails['480']
+      ? ` srcset="${escapeHtml(thumbnails['160'])} 160w, ${escapeHtml(thumbnails['480'])} 480w" sizes="60px"`
+      : '';
+    return `<img class="poster" src="${escapeHtml(thumbnails['160'])}"${srcset} alt="" loading="lazy" />`;
+  }
+  return /^https?:\/\//.test(movie.poster_url || '')
+    ? `<img class="poster" src="${escapeHtml(movie.poster_url)}" alt="" loading="lazy" />`
+    : '';
+};
+
+// Uploads the poster file chosen in the form for a saved movie; resolves to an error message or null
+const uploadPoster = async (movieId) => {
+  const file = document.getElementById('movie-poster-file').files[0];
+  if (!file) return null;
+  const body = new FormData();
+  body.append('poster', file);
+  const res = await apiFetch(`${apiBase}/movies/${movieId}/poster`, { method: 'POST', body });
+  if (res.ok) return null;
+  const err = await res.json().catch(() => ({}));
+  return err.error || `HTTP ${res.status}`;
+};
+
+const searchText = () => document.getElementById('movie-search').value.trim();
+
+// While the search box has text the list shows ranked search results instead of the filtered listing
+const moviesUrl = () => {
+  const q = searchText();
+  if (q) {
+    const params = new URLSearchParams({ q, page: currentPage, limit: pageSize });
+    return `${apiBase}/movies/search?${params}`;
+  }
+  return `${apiBase}/movies?${movieQuery()}`;
 };
 
 const fetchMovies = async () => {
   try {
-    const res = await fetch(`${apiBase}/movies`, {
-      headers: { 'Authorization': `Bearer ${token()}` }
-    });
+    const res = await apiFetch(moviesUrl());
     if (!res.ok) throw new Error(await res.text());
-    const movies = await res.json();
+    const { movies, pagination } = await res.json();
+
+    // The last page can disappear after a delete; step back to the new last page
+    if (pagination.page > pagination.totalPages && pagination.totalPages > 0) {
+      currentPage = pagination.totalPages;
+      return fetchMovies();
+    }
+    currentPagination = pagination;
+    renderPagination(pagination);
 
     const list = document.getElementById('movies-list');
     list.innerHTML = '';
+    movies.forEach((movie) => list.appendChild(renderMovieItem(movie)));
+  } catch (err) {
+    showMessage('Failed to load movies: ' + err.message);
+  }
+};
 
-    movies.forEach(movie => {
-      const li = document.createElement('li');
-      li.className = 'movie-item';
-      
-      const movieInfo = document.createElement('div');
-      movieInfo.className = 'movie-info';
-      movieInfo.innerHTML = `
-        <div class="movie-title">${movie.name}</div>
-        <div class="movie-details">Actor: ${movie.actor}, Genre: ${movie.genre}</div>
-        <div class="movie-desc">${movie.description}</div>
+// One movie card with its action buttons
+const renderMovieItem = (movie) => {
+  const li = document.createElement('li');
+  li.className = 'movie-item';
+  li.dataset.movieId = movie.id;
+  
+  const movieInfo = document.createElement('div');
+  movieInfo.className = 'movie-info';
+  movieInfo.innerHTML = `
+    ${posterHtml(movie)}
+    <div class="movie-title">${movie.name_highlight ? highlight(movie.name_highlight) : escapeHtml(movie.name)}</div>
+    <div class="movie-meta">${escapeHtml(metadataText(movie))}${movie.imdb_id
+      ? ` · <a href="https://www.imdb.com/title/${encodeURIComponent(movie.imdb_id)}/" target="_blank" rel="noopener">IMDb</a>`
+      : ''}</div>
+    <div class="movie-meta">${escapeHtml(ratingText(movie))}</div>
+    <div class="movie-details">Cast: ${escapeHtml(castText(movie))}</div>
+    <div class="movie-details">${movie.genres.map((genre) => `<span class="genre-tag">${escapeHtml(genre.name)}</span>`).join('')}</div>
+    <div class="movie-desc">${movie.snippet ? highlight(movie.snippet) : escapeHtml(movie.description)}</div>
+  `;
+
+  const editBtn = document.createElement('button');
+  editBtn.textContent = 'Edit';
+  editBtn.onclick = () => populateForm(movie);
+
+  const historyBtn = document.createElement('button');
+  historyBtn.textContent = 'History';
+  historyBtn.onclick = () => toggleHistory(movie, movieInfo);
+
+  const reviewsBtn = document.createElement('button');
+  reviewsBtn.textContent = 'Reviews';
+  reviewsBtn.onclick = () => toggleReviews(movie, movieInfo);
+
+  const watchedBtn = document.createElement('button');
+  watchedBtn.textContent = 'Watched';
+  watchedBtn.onclick = () => logWatched(movie.id);
+
+  const deleteBtn = document.createElement('button');
+  deleteBtn.textContent = 'Delete';
+  deleteBtn.className = 'delete-btn';
+  deleteBtn.onclick = () => deleteMovie(movie.id);
+
+  li.appendChild(movieInfo);
+  if (can('movies:write')) li.appendChild(editBtn);
+  if (can('movies:delete')) li.appendChild(deleteBtn);
+  li.appendChild(historyBtn);
+  li.appendChild(reviewsBtn);
+  li.appendChild(watchedBtn);
+  li.appendChild(listPicker(movie.id));
+  return li;
+};
+
+// New movies can only be slotted in without a reload on the first page of the
+// unfiltered, newest-first listing
+const showsNewestFirst = () => currentPage === 1 && !searchText()
+  && movieQuery() === new URLSearchParams({ page: 1, limit: pageSize, sort: '-created_at' }).toString();
+
+const adjustTotal = (delta) => {
+  if (!currentPagination) return;
+  currentPagination.total += delta;
+  currentPagination.totalPages = Math.ceil(currentPagination.total / pageSize);
+  renderPagination(currentPagination);
+};
+
+// Patches the visible page with a catalogue change, from the event stream or
+// from our own save. An edited movie stays in place even if it no longer
+// matches the filters; the next reload sorts that out.
+const applyMovieEvent = (event) => {
+  const list = document.getElementById('movies-list');
+  const id = event.type === 'movie.deleted' ? event.id : event.movie.id;
+  const existing = list.querySelector(`li[data-movie-id="${id}"]`);
+
+  if (event.type === 'movie.deleted') {
+    if (existing) {
+      existing.remove();
+      adjustTotal(-1);
+    }
+  } else if (existing) {
+    existing.replaceWith(renderMovieItem(event.movie));
+  } else if (event.type === 'movie.created' && showsNewestFirst()) {
+    list.prepend(renderMovieItem(event.movie));
+    if (list.children.length > pageSize) list.lastElementChild.remove();
+    adjustTotal(1);
+  }
+};
+
+// Re-reads one movie after we changed it and patches it into the page
+const refreshMovie = async (movieId, type = 'movie.updated') => {
+  const res = await apiFetch(`${apiBase}/movies/${movieId}`);
+  if (res.ok) applyMovieEvent({ type, movie: await res.json() });
+};
+
+// ---------- Live updates: GET /api/events ----------
+// EventSource cannot send the Authorization header, so the stream is read with
+// fetch. It reconnects while logged in and reloads the list on reconnect,
+// since changes made while disconnected are not replayed.
+let eventStream = null;
+
+const parseEventFrame = (frame) => {
+  const data = frame.split('\n')
+    .filter((line) => line.startsWith('data:'))
+    .map((line) => line.slice(5).trim())
+    .join('\n');
+  return data ? JSON.parse(data) : null;
+};
+
+const connectEvents = async (reconnecting = false) => {
+  if (eventStream || !token()) return;
+  const controller = new AbortController();
+  eventStream = controller;
+  let retry = true;
+
+  try {
+    const res = await apiFetch(`${apiBase}/events`, { signal: controller.signal });
+    // Without movies:read there is nothing to stream
+    retry = res.status !== 403;
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    if (reconnecting) fetchMovies();
+
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += value;
+      const frames = buffer.split('\n\n');
+      buffer = frames.pop();
+      frames.map(parseEventFrame).filter(Boolean).forEach(applyMovieEvent);
+    }
+  } catch {
+    // Dropped connection or server error: retry below
+  } finally {
+    if (eventStream === controller) eventStream = null;
+  }
+
+  if (retry && !controller.signal.aborted && token()) {
+    setTimeout(() => connectEvents(true), 5000);
+  }
+};
+
+const disconnectEvents = () => {
+  if (eventStream) eventStream.abort();
+  eventStream = null;
+};
+
+const snapshotValue = (snapshot, field) => {
+  if (field === 'cast') return snapshot.cast ? castText(snapshot) : '';
+  if (field === 'genres') return snapshot.genres ? genreText(snapshot) : '';
+  return snapshot[field];
+};
+
+// Revision history panel shown inside a movie card; a second click hides it
+const toggleHistory = async (movie, container) => {
+  const existing = container.querySelector('.history-panel');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`${apiBase}/movies/${movie.id}/history`);
+    if (!res.ok) throw new Error('Failed to load history');
+    const revisions = await res.json();
+
+    const panel = document.createElement('ol');
+    panel.className = 'history-panel';
+
+    revisions.forEach((rev, index) => {
+      // Revisions are newest first, so the previous state is the next entry
+      const previous = revisions[index + 1];
+      const changes = rev.changed_fields
+        .map((field) => previous
+          ? `${field}: ${escapeHtml(snapshotValue(previous.snapshot, field))} → ${escapeHtml(snapshotValue(rev.snapshot, field))}`
+          : field)
+        .join('<br>');
+
+      const item = document.createElement('li');
+      item.innerHTML = `
+        <div><strong>#${rev.revision}</strong> ${escapeHtml(rev.action)}${rev.reverted_to ? ` to #${rev.reverted_to}` : ''}
+          by ${escapeHtml(rev.changed_by)} on ${new Date(rev.created_at).toLocaleString()}</div>
+        <div class="history-changes">${changes || 'No field changes'}</div>
       `;
 
-      const editBtn = document.createElement('button');
-      editBtn.textContent = 'Edit';
-      editBtn.onclick = () => populateForm(movie);
+      if (index > 0 && can('movies:write') && !rev.snapshot.deleted) {
+        const revertBtn = document.createElement('button');
+        revertBtn.textContent = `Revert to #${rev.revision}`;
+        revertBtn.onclick = () => revertMovie(movie.id, rev.revision);
+        item.appendChild(revertBtn);
+      }
+      panel.appendChild(item);
+    });
 
-      const deleteBtn = document.createElement('button');
-      deleteBtn.textContent = 'Delete';
-      deleteBtn.className = 'delete-btn';
-      deleteBtn.onclick = () => deleteMovie(movie.id);
+    container.appendChild(panel);
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
 
-      li.appendChild(movieInfo);
-      li.appendChild(editBtn);
-      li.appendChild(deleteBtn);
-      list.appendChild(li);
+// Average rating with the number of (visible) ratings behind it
+const ratingText = (movie) => (movie.rating_count
+  ? `★ ${movie.rating_average.toFixed(1)} / 10 (${movie.rating_count} rating${movie.rating_count === 1 ? '' : 's'})`
+  : 'No ratings yet');
+
+// Reviews panel shown inside a movie card: your own rating form, then the
+// reviews (including hidden ones, with hide/unhide buttons, for moderators)
+const toggleReviews = async (movie, container) => {
+  const existing = container.querySelector('.reviews-panel');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  try {
+    const moderator = can('reviews:moderate');
+    const res = await apiFetch(`${apiBase}/movies/${movie.id}/reviews?limit=50${moderator ? '&include_hidden=true' : ''}`);
+    if (!res.ok) throw new Error('Failed to load reviews');
+    const { reviews } = await res.json();
+
+    const panel = document.createElement('div');
+    panel.className = 'reviews-panel';
+
+    if (can('reviews:write')) {
+      const mineRes = await apiFetch(`${apiBase}/movies/${movie.id}/reviews/mine`);
+      const mine = mineRes.ok ? await mineRes.json() : null;
+
+      const form = document.createElement('form');
+      form.className = 'review-form';
+      form.innerHTML = `
+        <label>Your rating
+          <select name="rating" required>
+            <option value="">-</option>
+            ${[...Array(10)].map((_, i) => `<option${mine && mine.rating === i + 1 ? ' selected' : ''}>${i + 1}</option>`).join('')}
+          </select>
+        </label>
+        <textarea name="body" placeholder="Your review (optional)" maxlength="5000">${escapeHtml(mine ? mine.body || '' : '')}</textarea>
+        ${mine && mine.hidden_at ? `<div class="review-hidden">Hidden by a moderator${mine.hidden_reason ? `: ${escapeHtml(mine.hidden_reason)}` : ''}</div>` : ''}
+        <button type="submit">Save Review</button>
+      `;
+      form.onsubmit = (e) => {
+        e.preventDefault();
+        saveReview(movie.id, { rating: Number(form.elements.rating.value), body: form.elements.body.value.trim() });
+      };
+      if (mine) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.type = 'button';
+        deleteBtn.textContent = 'Delete Review';
+        deleteBtn.className = 'delete-btn';
+        deleteBtn.onclick = () => deleteReview(movie.id);
+        form.appendChild(deleteBtn);
+      }
+      panel.appendChild(form);
+    }
+
+    const list = document.createElement('ul');
+    reviews.forEach((review) => {
+      const item = document.createElement('li');
+      item.className = review.hidden_at ? 'review review-hidden' : 'review';
+      item.innerHTML = `
+        <div><strong>${review.rating}/10</strong> by ${escapeHtml(review.username)} on ${new Date(review.created_at).toLocaleString()}
+          ${review.hidden_at ? `(hidden by ${escapeHtml(review.hidden_by)}${review.hidden_reason ? `: ${escapeHtml(review.hidden_reason)}` : ''})` : ''}</div>
+        ${review.body ? `<div class="movie-desc">${escapeHtml(review.body)}</div>` : ''}
+      `;
+      if (moderator) {
+        const hideBtn = document.createElement('button');
+        hideBtn.textContent = review.hidden_at ? 'Unhide' : 'Hide';
+        hideBtn.onclick = () => moderateReview(review.id, !review.hidden_at);
+        item.appendChild(hideBtn);
+      }
+      list.appendChild(item);
+    });
+    if (reviews.length === 0) {
+      list.innerHTML = '<li>No reviews yet</li>';
+    }
+    panel.appendChild(list);
+
+    container.appendChild(panel);
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const saveReview = async (movieId, review) => {
+  try {
+    const res = await apiFetch(`${apiBase}/movies/${movieId}/reviews/mine`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(review)
     });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Save review failed');
+    }
+    showMessage('Review saved successfully!', false);
+    refreshMovie(movieId);
   } catch (err) {
-    showMessage('Failed to load movies: ' + err.message);
+    showMessage(err.message);
+  }
+};
+
+const deleteReview = async (movieId) => {
+  if (!confirm('Delete your review of this movie?')) return;
+
+  try {
+    const res = await apiFetch(`${apiBase}/movies/${movieId}/reviews/mine`, { method: 'DELETE' });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Delete review failed');
+    }
+    showMessage('Review deleted successfully!', false);
+    refreshMovie(movieId);
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const moderateReview = async (reviewId, hidden) => {
+  const reason = hidden ? prompt('Reason for hiding this review (shown to its author):', '') : null;
+  if (reason === null && hidden) return;
+
+  try {
+    const res = await apiFetch(`${apiBase}/admin/reviews/${reviewId}/hidden`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hidden, reason })
+    });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Moderation failed');
+    }
+    const { review } = await res.json();
+    showMessage(hidden ? 'Review hidden' : 'Review visible again', false);
+    refreshMovie(review.movie_id);
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const revertMovie = async (movieId, revision) => {
+  if (!confirm(`Revert this movie to revision #${revision}?`)) return;
+
+  try {
+    const res = await apiFetch(`${apiBase}/movies/${movieId}/revert/${revision}`, { method: 'POST' });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Revert failed');
+    }
+    showMessage('Movie reverted successfully!', false);
+    refreshMovie(movieId);
+  } catch (err) {
+    showMessage(err.message);
   }
 };
 
@@ -91,26 +601,115 @@ const deleteMovie = async (movieId) => {
   if (!confirm('Are you sure you want to delete this movie?')) return;
   
   try {
-    const res = await fetch(`${apiBase}/movies/${movieId}`, {
-      method: 'DELETE',
-      headers: { 'Authorization': `Bearer ${token()}` }
+    const res = await apiFetch(`${apiBase}/movies/${movieId}`, {
+      method: 'DELETE'
     });
     
     if (!res.ok) throw new Error('Failed to delete movie');
     
     showMessage('Movie deleted successfully!', false);
-    fetchMovies();
+    applyMovieEvent({ type: 'movie.deleted', id: movieId });
   } catch (err) {
     showMessage('Error deleting movie: ' + err.message);
   }
 };
 
+// People and genres offered by the form's pickers
+let people = [];
+let genres = [];
+
+// Cast of the movie being edited, so characters and billing order survive
+// an edit even though the picker only selects people
+let editingCast = [];
+
+const renderCreditOptions = () => {
+  const castSelect = document.getElementById('movie-cast');
+  const genreSelect = document.getElementById('movie-genres');
+  const selectedPeople = new Set([...castSelect.selectedOptions].map((option) => option.value));
+  const selectedGenres = new Set([...genreSelect.selectedOptions].map((option) => option.value));
+
+  castSelect.innerHTML = people.map((person) =>
+    `<option value="${person.id}" ${selectedPeople.has(String(person.id)) ? 'selected' : ''}>${escapeHtml(person.name)}</option>`
+  ).join('');
+  genreSelect.innerHTML = genres.map((genre) =>
+    `<option value="${genre.id}" ${selectedGenres.has(String(genre.id)) ? 'selected' : ''}>${escapeHtml(genre.name)}</option>`
+  ).join('');
+};
+
+// Loads every person (the API pages at 100) and every genre for the pickers
+const loadCredits = async () => {
+  try {
+    const loaded = [];
+    for (let page = 1; ; page++) {
+      const res = await apiFetch(`${apiBase}/people?page=${page}&limit=100`);
+      if (!res.ok) throw new Error('Failed to load people');
+      const data = await res.json();
+      loaded.push(...data.people);
+      if (page >= data.pagination.totalPages) break;
+    }
+    people = loaded;
+
+    const res = await apiFetch(`${apiBase}/genres`);
+    if (!res.ok) throw new Error('Failed to load genres');
+    genres = (await res.json()).genres;
+
+    renderCreditOptions();
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const selectOptions = (select, ids) => {
+  const wanted = new Set(ids.map(String));
+  [...select.options].forEach((option) => { option.selected = wanted.has(option.value); });
+};
+
+// Selected cast in billing order: people already in the cast keep their
+// place and character, newly selected people are appended
+const selectedCast = () => {
+  const selected = [...document.getElementById('movie-cast').selectedOptions]
+    .map((option) => people.find((person) => String(person.id) === option.value));
+  const kept = editingCast.filter((member) => selected.some((person) => person.id === member.person_id));
+  const added = selected
+    .filter((person) => !kept.some((member) => member.person_id === person.id))
+    .map((person) => ({ person_id: person.id, name: person.name, character: null }));
+  return [...kept, ...added].map(({ person_id, name, character }) => ({ person_id, name, character }));
+};
+
+const selectedGenres = () => [...document.getElementById('movie-genres').selectedOptions]
+  .map((option) => ({ id: Number(option.value), name: option.textContent }));
+
+// Metadata form inputs by movie field; numeric fields are sent as numbers
+const metadataInputs = {
+  release_date: 'movie-release-date',
+  runtime_minutes: 'movie-runtime',
+  certification: 'movie-certification',
+  original_language: 'movie-language',
+  country: 'movie-country',
+  imdb_id: 'movie-imdb-id',
+  tmdb_id: 'movie-tmdb-id',
+  poster_url: 'movie-poster-url'
+};
+const numericMetadata = ['runtime_minutes', 'tmdb_id'];
+
+// Empty inputs become null, which clears the stored value
+const formMetadata = () => Object.fromEntries(Object.entries(metadataInputs).map(([field, inputId]) => {
+  const value = document.getElementById(inputId).value.trim();
+  if (!value) return [field, null];
+  return [field, numericMetadata.includes(field) ? Number(value) : value];
+}));
+
 const populateForm = (movie) => {
   document.getElementById('movie-id').value = movie.id;
+  document.getElementById('movie-version').value = movie.version;
   document.getElementById('movie-name').value = movie.name;
-  document.getElementById('movie-actor').value = movie.actor;
-  document.getElementById('movie-genre').value = movie.genre;
+  editingCast = movie.cast;
+  selectOptions(document.getElementById('movie-cast'), movie.cast.map((member) => member.person_id));
+  selectOptions(document.getElementById('movie-genres'), movie.genres.map((genre) => genre.id));
   document.getElementById('movie-description').value = movie.description;
+  Object.entries(metadataInputs).forEach(([field, inputId]) => {
+    document.getElementById(inputId).value = movie[field] ?? '';
+  });
   document.getElementById('form-title').textContent = 'Update Movie';
   
   // Switch to add movie tab
@@ -118,12 +717,55 @@ const populateForm = (movie) => {
   switchAppTab({ currentTarget: addMovieTab }, 'add-movie-content');
 };
 
+// Shown when a save hits a newer server version (HTTP 412): compare both
+// copies field by field, then keep mine, take theirs, or go back to editing
+const showConflictDialog = (mine, current) => {
+  const dialog = document.getElementById('conflict-dialog');
+  const fields = {
+    name: (movie) => movie.name,
+    cast: castText,
+    genres: genreText,
+    description: (movie) => movie.description,
+    ...Object.fromEntries(Object.keys(metadataInputs).map((field) => [field, (movie) => movie[field] ?? '']))
+  };
+  const rows = Object.entries(fields).map(([field, value]) => `
+    <tr class="${value(mine) === value(current) ? '' : 'conflict-changed'}">
+      <th>${field}</th>
+      <td>${escapeHtml(value(mine))}</td>
+      <td>${escapeHtml(value(current))}</td>
+    </tr>
+  `).join('');
+  document.getElementById('conflict-table').innerHTML =
+    `<tr><th></th><th>Your version</th><th>Saved by ${escapeHtml(current.updated_by)}</th></tr>${rows}`;
+
+  const close = () => { dialog.style.display = 'none'; };
+  document.getElementById('conflict-keep-mine').onclick = () => {
+    // Re-save my edits on top of the server's current version
+    close();
+    document.getElementById('movie-version').value = current.version;
+    document.getElementById('movie-form').requestSubmit();
+  };
+  document.getElementById('conflict-take-theirs').onclick = () => {
+    close();
+    populateForm(current);
+  };
+  document.getElementById('conflict-cancel').onclick = close;
+
+  dialog.style.display = 'flex';
+};
+
 const clearForm = () => {
   document.getElementById('movie-id').value = '';
+  document.getElementById('movie-version').value = '';
   document.getElementById('movie-name').value = '';
-  document.getElementById('movie-actor').value = '';
-  document.getElementById('movie-genre').value = '';
+  editingCast = [];
+  selectOptions(document.getElementById('movie-cast'), []);
+  selectOptions(document.getElementById('movie-genres'), []);
   document.getElementById('movie-description').value = '';
+  Object.values(metadataInputs).forEach((inputId) => {
+    document.getElementById(inputId).value = '';
+  });
+  document.getElementById('movie-poster-file').value = '';
   document.getElementById('form-title').textContent = 'Add / Update Movie';
 };
 
@@ -155,6 +797,50 @@ document.getElementById('register-form').addEventListener('submit', async (e) =>
   }
 });
 
+// Shows recovery codes once, right after they are generated
+const showRecoveryCodes = (codes) => {
+  const dialog = document.getElementById('recovery-dialog');
+  document.getElementById('recovery-codes').innerHTML = codes.map((code) => `<li>${escapeHtml(code)}</li>`).join('');
+  document.getElementById('recovery-done').onclick = () => { dialog.style.display = 'none'; };
+  dialog.style.display = 'flex';
+};
+
+// Stores a new session from a login response and opens the app
+const completeLogin = (data, username) => {
+  setToken(data.token);
+  setRefreshToken(data.refreshToken);
+  setUsername(username);
+  setPermissions(data.user.permissions);
+  showApp(true);
+  fetchMovies();
+  connectEvents();
+  loadCredits();
+  loadMyLists();
+  if (data.recoveryCodes) {
+    showRecoveryCodes(data.recoveryCodes);
+  }
+};
+
+// Two-factor login step: the challenge from the password (or single sign-on)
+// step, and who it is for
+let loginChallenge = null;
+// Whether the password form is offered at all (see loadAuthOptions)
+let localLoginEnabled = true;
+
+const showTwoFactorStep = (challenge) => {
+  loginChallenge = challenge;
+  const setup = document.getElementById('two-factor-setup');
+  setup.style.display = challenge && challenge.setupRequired ? 'block' : 'none';
+  if (challenge && challenge.setupRequired) {
+    document.getElementById('two-factor-setup-link').href = challenge.otpauthUrl;
+    document.getElementById('two-factor-setup-secret').textContent = challenge.secret;
+  }
+  document.getElementById('two-factor-prompt').style.display = challenge && challenge.setupRequired ? 'none' : 'block';
+  document.getElementById('two-factor-form').reset();
+  document.getElementById('two-factor-form').style.display = challenge ? 'block' : 'none';
+  document.getElementById('login-form').style.display = challenge || !localLoginEnabled ? 'none' : 'block';
+};
+
 document.getElementById('login-form').addEventListener('submit', async (e) => {
   e.preventDefault();
   const username = e.target['login-username'].value.trim();
@@ -173,88 +859,783 @@ document.getElementById('login-form').addEventListener('submit', async (e) => {
     }
 
     const data = await res.json();
-    setToken(data.token);
-    setUsername(username);
-    showApp(true);
-    fetchMovies();
+    e.target['login-password'].value = '';
+    if (data.twoFactorRequired) {
+      showTwoFactorStep({ ...data, username });
+      return;
+    }
+    completeLogin(data, username);
   } catch (err) {
     showMessage(err.message);
   }
 });
 
-document.getElementById('logout-btn').addEventListener('click', async () => {
-  try {
-    const res = await fetch(`${apiBase}/auth/logout`, {
-      method: 'POST',
-      headers: { 'Authorization': `Bearer ${token()}` }
-    });
-    if (!res.ok) throw new Error('Logout failed');
-  } catch {}
-
-  clearToken();
-  clearUsername();
-  showApp(false);
-  clearForm();
-});
-
-document.getElementById('movie-form').addEventListener('submit', async (e) => {
+document.getElementById('two-factor-form').addEventListener('submit', async (e) => {
   e.preventDefault();
-  const id = document.getElementById('movie-id').value;
-  const movie = {
-    name: document.getElementById('movie-name').value.trim(),
-    actor: document.getElementById('movie-actor').value.trim(),
-    genre: document.getElementById('movie-genre').value.trim(),
-    description: document.getElementById('movie-description').value.trim()
-  };
+  const code = e.target['two-factor-code'].value.trim();
 
   try {
-    let res;
-    if (id) {
-      res = await fetch(`${apiBase}/movies/${id}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token()}`
-        },
-        body: JSON.stringify(movie)
-      });
-    } else {
-      res = await fetch(`${apiBase}/movies`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token()}`
-        },
-        body: JSON.stringify(movie)
-      });
-    }
+    const res = await fetch(`${apiBase}/auth/login/verify`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ challengeToken: loginChallenge.challengeToken, code })
+    });
 
     if (!res.ok) {
       const err = await res.json();
-      throw new Error(err.error || 'Save movie failed');
+      // Out of attempts or too slow: start again from the password
+      if (res.status === 401 && !err.attemptsLeft) {
+        showTwoFactorStep(null);
+      }
+      throw new Error(err.error || 'Verification failed');
     }
 
-    showMessage('Movie saved successfully!', false);
-    clearForm();
-    fetchMovies();
-    
-    // Switch back to movies tab
-    const moviesTab = document.querySelector('#app-section .tab');
-    switchAppTab({ currentTarget: moviesTab }, 'movies-content');
+    const data = await res.json();
+    const { username } = loginChallenge;
+    showTwoFactorStep(null);
+    completeLogin(data, username);
   } catch (err) {
     showMessage(err.message);
   }
 });
 
-document.getElementById('clear-form-btn').addEventListener('click', (e) => {
-  e.preventDefault();
-  clearForm();
-});
+document.getElementById('two-factor-cancel').addEventListener('click', () => showTwoFactorStep(null));
+
+// Account tab: two-factor status and management
+const loadTwoFactorStatus = async () => {
+  try {
+    const res = await apiFetch(`${apiBase}/auth/2fa`);
+    if (!res.ok) throw new Error('Failed to load two-factor status');
+    const status = await res.json();
+
+    document.getElementById('two-factor-status').textContent = status.enabled
+      ? `Two-factor authentication is on. ${status.recoveryCodesRemaining} recovery codes left.`
+      : `Two-factor authentication is off.${status.required ? ' Your role requires it: you will be asked to set it up at your next login.' : ''}`;
+    document.getElementById('two-factor-on').style.display = status.enabled ? 'block' : 'none';
+    document.getElementById('two-factor-off').style.display = status.enabled ? 'none' : 'block';
+    document.getElementById('two-factor-enable-form').style.display = 'none';
+    // A role that requires two-factor does not allow turning it off
+    document.getElementById('two-factor-disable-form').style.display = status.required ? 'none' : 'block';
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+// Sends a two-factor management request; resolves to the response body
+const postTwoFactor = async (path, body) => {
+  const res = await apiFetch(`${apiBase}/auth/2fa/${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || 'Two-factor request failed');
+  return data;
+};
+
+document.getElementById('two-factor-start').addEventListener('click', async () => {
+  try {
+    const setup = await postTwoFactor('setup', {});
+    document.getElementById('two-factor-enable-link').href = setup.otpauthUrl;
+    document.getElementById('two-factor-enable-secret').textContent = setup.secret;
+    document.getElementById('two-factor-enable-form').style.display = 'block';
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+document.getElementById('two-factor-enable-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const data = await postTwoFactor('enable', { code: e.target['two-factor-enable-code'].value.trim() });
+    e.target.reset();
+    showRecoveryCodes(data.recoveryCodes);
+    loadTwoFactorStatus();
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+document.getElementById('two-factor-codes-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    const data = await postTwoFactor('recovery-codes', { code: e.target['two-factor-codes-code'].value.trim() });
+    e.target.reset();
+    showRecoveryCodes(data.recoveryCodes);
+    loadTwoFactorStatus();
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+document.getElementById('two-factor-disable-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  try {
+    await postTwoFactor('disable', {
+      password: e.target['two-factor-disable-password'].value.trim(),
+      code: e.target['two-factor-disable-code'].value.trim()
+    });
+    e.target.reset();
+    showMessage('Two-factor authentication turned off', false);
+    loadTwoFactorStatus();
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+// Account tab: personal API keys
+const loadApiKeys = async () => {
+  try {
+    const res = await apiFetch(`${apiBase}/auth/api-keys`);
+    if (!res.ok) throw new Error('Failed to load API keys');
+    const keys = await res.json();
+
+    const container = document.getElementById('api-keys-list');
+    container.innerHTML = keys.length ? '' : '<li>No API keys</li>';
+    keys.forEach((key) => {
+      const li = document.createElement('li');
+      li.innerHTML = `
+        <div class="movie-title">${escapeHtml(key.name)}
+          <span class="movie-meta">${escapeHtml(key.prefix)}… (${key.scope === 'write' ? 'read and write' : 'read only'})</span></div>
+        <div class="movie-meta">
+          Created ${new Date(key.created_at).toLocaleDateString()}
+          · ${key.expires_at ? `expires ${new Date(key.expires_at).toLocaleDateString()}` : 'never expires'}
+          · ${key.last_used_at ? `last used ${new Date(key.last_used_at).toLocaleString()} from ${escapeHtml(key.last_used_ip)}` : 'never used'}
+        </div>
+      `;
+
+      const revokeBtn = document.createElement('button');
+      revokeBtn.textContent = 'Revoke';
+      revokeBtn.className = 'delete-btn';
+      revokeBtn.onclick = () => revokeApiKey(key);
+
+      li.append(revokeBtn);
+      container.appendChild(li);
+    });
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const revokeApiKey = async (key) => {
+  if (!confirm(`Revoke the API key "${key.name}"? Scripts using it will stop working.`)) return;
+  try {
+    const res = await apiFetch(`${apiBase}/auth/api-keys/${key.id}`, { method: 'DELETE' });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Failed to revoke API key');
+    }
+    document.getElementById('api-key-created').style.display = 'none';
+    showMessage('API key revoked', false);
+    loadApiKeys();
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+document.getElementById('api-key-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const expires = e.target['api-key-expires'].value;
+
+  try {
+    const res = await apiFetch(`${apiBase}/auth/api-keys`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        name: e.target['api-key-name'].value.trim(),
+        scope: e.target['api-key-scope'].value,
+        // The key stops working at the end of the chosen day (local time)
+        ...(expires && { expires_at: new Date(`${expires}T23:59:59`).toISOString() })
+      })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Failed to create API key');
+
+    e.target.reset();
+    document.getElementById('api-key-value').textContent = data.key;
+    document.getElementById('api-key-created').style.display = 'block';
+    loadApiKeys();
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+document.getElementById('reset-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const username = e.target['reset-username'].value.trim();
+  const token = e.target['reset-token'].value.trim();
+  const newPassword = e.target['reset-password'].value.trim();
+
+  try {
+    const res = await fetch(`${apiBase}/auth/reset-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, token, newPassword })
+    });
+
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Password reset failed');
+    }
+
+    showMessage('Password reset! Please login.', false);
+    e.target.reset();
+
+    const loginTab = document.querySelector('#auth-section .tab');
+    switchTab({ currentTarget: loginTab }, 'login-content');
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+document.getElementById('change-password-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const currentPassword = e.target['current-password'].value.trim();
+  const newPassword = e.target['new-password'].value.trim();
+
+  try {
+    const res = await apiFetch(`${apiBase}/auth/change-password`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ currentPassword, newPassword })
+    });
+
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Password change failed');
+    }
+
+    // Every session was revoked, this one included
+    e.target.reset();
+    endSession();
+    showMessage('Password changed, please login again', false);
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+document.getElementById('logout-btn').addEventListener('click', async () => {
+  try {
+    const res = await fetch(`${apiBase}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${token()}` }
+    });
+    if (!res.ok) throw new Error('Logout failed');
+  } catch {}
+
+  endSession();
+});
+
+document.getElementById('movie-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const id = document.getElementById('movie-id').value;
+  const movie = {
+    name: document.getElementById('movie-name').value.trim(),
+    cast: selectedCast(),
+    genres: selectedGenres(),
+    description: document.getElementById('movie-description').value.trim(),
+    ...formMetadata()
+  };
+
+  try {
+    let res;
+    if (id) {
+      res = await apiFetch(`${apiBase}/movies/${id}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'If-Match': `"${document.getElementById('movie-version').value}"`
+        },
+        body: JSON.stringify(movie)
+      });
+      
+      if (res.status === 412) {
+        const { current } = await res.json();
+        showConflictDialog(movie, current);
+        return;
+      }
+    } else {
+      res = await apiFetch(`${apiBase}/movies`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(movie)
+      });
+    }
+
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Save movie failed');
+    }
+
+    // The movie is saved either way, so a failed upload is reported without keeping the form
+    const movieId = id || (await res.json()).id;
+    const posterError = await uploadPoster(movieId);
+    if (posterError) {
+      showMessage(`Movie saved, but the poster upload failed: ${posterError}`);
+    } else {
+      showMessage('Movie saved successfully!', false);
+    }
+    clearForm();
+    refreshMovie(movieId, id ? 'movie.updated' : 'movie.created');
+    
+    // Switch back to movies tab
+    const moviesTab = document.querySelector('#app-section .tab');
+    switchAppTab({ currentTarget: moviesTab }, 'movies-content');
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+document.getElementById('clear-form-btn').addEventListener('click', (e) => {
+  e.preventDefault();
+  clearForm();
+});
+
+// Creates a person or genre from the inline inputs and selects it in the picker
+const addCredit = async (url, inputId, selectId, list) => {
+  const input = document.getElementById(inputId);
+  const name = input.value.trim();
+  if (!name) return;
+
+  try {
+    const res = await apiFetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name })
+    });
+    const data = await res.json();
+    // An equivalent genre already exists (409): select that one instead
+    if (!res.ok && !(res.status === 409 && data.genre)) throw new Error(data.error || 'Failed to add');
+    const created = res.ok ? data : data.genre;
+
+    if (!list.some((item) => item.id === created.id)) {
+      list.push(created);
+      list.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    renderCreditOptions();
+    const option = [...document.getElementById(selectId).options].find((o) => o.value === String(created.id));
+    if (option) option.selected = true;
+    input.value = '';
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+document.getElementById('add-person-btn').addEventListener('click', () => {
+  addCredit(`${apiBase}/people`, 'new-person-name', 'movie-cast', people);
+});
+
+document.getElementById('add-genre-btn').addEventListener('click', () => {
+  addCredit(`${apiBase}/genres`, 'new-genre-name', 'movie-genres', genres);
+});
+
+document.getElementById('movie-filters').addEventListener('submit', (e) => {
+  e.preventDefault();
+  currentPage = 1;
+  fetchMovies();
+});
+
+document.getElementById('clear-filters-btn').addEventListener('click', () => {
+  document.getElementById('movie-filters').reset();
+  currentPage = 1;
+  fetchMovies();
+});
+
+// Search as you type, waiting for a pause in typing before querying
+let searchTimer;
+document.getElementById('movie-search').addEventListener('input', () => {
+  clearTimeout(searchTimer);
+  searchTimer = setTimeout(() => {
+    currentPage = 1;
+    fetchMovies();
+  }, 300);
+});
+
+document.getElementById('prev-page-btn').addEventListener('click', () => {
+  if (currentPage > 1) {
+    currentPage--;
+    fetchMovies();
+  }
+});
+
+document.getElementById('next-page-btn').addEventListener('click', () => {
+  currentPage++;
+  fetchMovies();
+});
+
+// ---------- My Lists tab: watchlists and the watched log ----------
+let myLists = [];
+
+const shareUrl = (list) => `${location.origin}${location.pathname}?list=${encodeURIComponent(list.share_token)}`;
+
+// Fills a movie card's "Add to list" picker with the current lists
+const fillListPicker = (select) => {
+  select.innerHTML = `<option value="">Add to list...</option>${myLists
+    .map((list) => `<option value="${list.id}">${escapeHtml(list.name)}</option>`).join('')}`;
+  select.style.display = myLists.length ? '' : 'none';
+};
+
+const listPicker = (movieId) => {
+  const select = document.createElement('select');
+  select.className = 'list-picker';
+  fillListPicker(select);
+  select.onchange = () => {
+    if (select.value) addToList(Number(select.value), movieId);
+    select.value = '';
+  };
+  return select;
+};
+
+const loadMyLists = async () => {
+  try {
+    const res = await apiFetch(`${apiBase}/me/lists`);
+    if (!res.ok) throw new Error('Failed to load lists');
+    myLists = await res.json();
+    renderMyLists();
+    document.querySelectorAll('.list-picker').forEach(fillListPicker);
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const renderMyLists = () => {
+  const container = document.getElementById('my-lists');
+  container.innerHTML = myLists.length ? '' : '<li>No lists yet</li>';
+
+  myLists.forEach((list) => {
+    const li = document.createElement('li');
+    li.innerHTML = `
+      <div class="movie-title">${escapeHtml(list.name)}
+        <span class="movie-meta">(${list.item_count} movie${list.item_count === 1 ? '' : 's'})</span></div>
+      ${list.description ? `<div class="movie-desc">${escapeHtml(list.description)}</div>` : ''}
+      ${list.share_token
+        ? `<div class="movie-meta">Share link: <a href="${escapeHtml(shareUrl(list))}" target="_blank" rel="noopener">${escapeHtml(shareUrl(list))}</a></div>`
+        : ''}
+    `;
+
+    const openBtn = document.createElement('button');
+    openBtn.textContent = 'Open';
+    openBtn.onclick = () => toggleListItems(list, li);
+
+    const shareBtn = document.createElement('button');
+    shareBtn.textContent = list.share_token ? 'Stop Sharing' : 'Share';
+    shareBtn.onclick = () => updateList(list.id, { shared: !list.share_token });
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.className = 'delete-btn';
+    deleteBtn.onclick = () => deleteList(list);
+
+    li.append(openBtn, shareBtn, deleteBtn);
+    container.appendChild(li);
+  });
+};
+
+// Movies of a list in order, with buttons to move or remove them; a second click hides it
+const toggleListItems = async (list, container) => {
+  const existing = container.querySelector('.list-items');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+
+  try {
+    const res = await apiFetch(`${apiBase}/me/lists/${list.id}`);
+    if (!res.ok) throw new Error('Failed to load list');
+    const { items } = await res.json();
+
+    const panel = document.createElement('ol');
+    panel.className = 'list-items';
+    if (items.length === 0) {
+      panel.innerHTML = '<li>This list is empty. Add movies from the Movies tab.</li>';
+    }
+
+    const reopen = () => {
+      panel.remove();
+      toggleListItems(list, container);
+    };
+    const move = async (index, offset) => {
+      const order = items.map((item) => item.id);
+      [order[index], order[index + offset]] = [order[index + offset], order[index]];
+      const moved = await apiFetch(`${apiBase}/me/lists/${list.id}/items`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ movie_ids: order })
+      });
+      if (!moved.ok) showMessage('Failed to reorder list');
+      reopen();
+    };
+
+    items.forEach((item, index) => {
+      const li = document.createElement('li');
+      li.innerHTML = `${escapeHtml(item.name)}${item.release_date ? ` (${item.release_date.slice(0, 4)})` : ''} `;
+
+      const upBtn = document.createElement('button');
+      upBtn.textContent = '↑';
+      upBtn.disabled = index === 0;
+      upBtn.onclick = () => move(index, -1);
+
+      const downBtn = document.createElement('button');
+      downBtn.textContent = '↓';
+      downBtn.disabled = index === items.length - 1;
+      downBtn.onclick = () => move(index, 1);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = 'Remove';
+      removeBtn.onclick = async () => {
+        const removed = await apiFetch(`${apiBase}/me/lists/${list.id}/items/${item.id}`, { method: 'DELETE' });
+        if (!removed.ok) showMessage('Failed to remove movie from list');
+        loadMyLists();
+      };
+
+      li.append(upBtn, downBtn, removeBtn);
+      panel.appendChild(li);
+    });
+
+    container.appendChild(panel);
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const updateList = async (listId, changes) => {
+  try {
+    const res = await apiFetch(`${apiBase}/me/lists/${listId}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Update list failed');
+    }
+    loadMyLists();
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const deleteList = async (list) => {
+  if (!confirm(`Delete the list "${list.name}"?`)) return;
+
+  try {
+    const res = await apiFetch(`${apiBase}/me/lists/${list.id}`, { method: 'DELETE' });
+    if (!res.ok) throw new Error('Delete list failed');
+    showMessage('List deleted successfully!', false);
+    loadMyLists();
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const addToList = async (listId, movieId) => {
+  try {
+    const res = await apiFetch(`${apiBase}/me/lists/${listId}/items`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ movie_id: movieId })
+    });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Add to list failed');
+    }
+    showMessage('Added to list!', false);
+    loadMyLists();
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const loadWatched = async () => {
+  try {
+    const res = await apiFetch(`${apiBase}/me/watched?limit=50`);
+    if (!res.ok) throw new Error('Failed to load watched movies');
+    const { entries } = await res.json();
+
+    const container = document.getElementById('watched-list');
+    container.innerHTML = entries.length ? '' : '<li>Nothing logged yet</li>';
+    entries.forEach((entry) => {
+      const li = document.createElement('li');
+      li.innerHTML = `${escapeHtml(entry.watched_on)}: ${escapeHtml(entry.name)} `;
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.textContent = 'Remove';
+      deleteBtn.onclick = async () => {
+        const deleted = await apiFetch(`${apiBase}/me/watched/${entry.id}`, { method: 'DELETE' });
+        if (!deleted.ok) showMessage('Failed to remove entry');
+        loadWatched();
+      };
+      li.appendChild(deleteBtn);
+      container.appendChild(li);
+    });
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+const logWatched = async (movieId) => {
+  try {
+    const res = await apiFetch(`${apiBase}/me/watched`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ movie_id: movieId })
+    });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Log watched failed');
+    }
+    showMessage('Logged as watched today', false);
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+// Suggestions with the reason each was picked; watched or rated movies drop out
+const loadRecommendations = async () => {
+  try {
+    const res = await apiFetch(`${apiBase}/me/recommendations`);
+    if (!res.ok) throw new Error('Failed to load recommendations');
+    const { recommendations } = await res.json();
+
+    const container = document.getElementById('recommendations-list');
+    container.innerHTML = recommendations.length ? '' : '<li>Rate or watch a few movies to get suggestions</li>';
+    recommendations.forEach(({ movie, explanation }) => {
+      const li = document.createElement('li');
+      li.innerHTML = `${posterHtml(movie)}${escapeHtml(movie.name)}${movie.release_date ? ` (${movie.release_date.slice(0, 4)})` : ''}
+        <div class="movie-meta">${escapeHtml(explanation)}</div>`;
+
+      const watchedBtn = document.createElement('button');
+      watchedBtn.textContent = 'Watched';
+      watchedBtn.onclick = async () => {
+        await logWatched(movie.id);
+        loadWatched();
+        loadRecommendations();
+      };
+      li.append(watchedBtn, listPicker(movie.id));
+      container.appendChild(li);
+    });
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+document.getElementById('new-list-form').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const input = document.getElementById('new-list-name');
+
+  try {
+    const res = await apiFetch(`${apiBase}/me/lists`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: input.value.trim() })
+    });
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Create list failed');
+    }
+    input.value = '';
+    loadMyLists();
+  } catch (err) {
+    showMessage(err.message);
+  }
+});
+
+// A ?list=<token> link shows that shared list read-only, logged in or not
+const showSharedList = async (shareToken) => {
+  try {
+    const res = await fetch(`${apiBase}/lists/shared/${encodeURIComponent(shareToken)}`);
+    if (!res.ok) throw new Error('This list does not exist or is no longer shared');
+    const list = await res.json();
+
+    const section = document.getElementById('shared-list-section');
+    section.innerHTML = `
+      <h2>${escapeHtml(list.name)} <span class="movie-meta">shared by ${escapeHtml(list.username)}</span></h2>
+      ${list.description ? `<div class="movie-desc">${escapeHtml(list.description)}</div>` : ''}
+      <ol class="list-items">${list.items.map((movie) => `
+        <li>${posterHtml(movie)}${escapeHtml(movie.name)}${movie.release_date ? ` (${movie.release_date.slice(0, 4)})` : ''}</li>
+      `).join('') || '<li>This list is empty</li>'}</ol>
+    `;
+    section.style.display = 'block';
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+// Offers single sign-on when the server has it, and hides the password
+// forms when password login is turned off
+const loadAuthOptions = async () => {
+  try {
+    const res = await fetch(`${apiBase}/auth/config`);
+    if (!res.ok) return;
+    const options = await res.json();
+
+    document.getElementById('sso-login').style.display = options.oidc.enabled ? 'block' : 'none';
+    document.getElementById('sso-login-btn').textContent = `Sign in with ${options.oidc.name}`;
+    localLoginEnabled = options.localLogin;
+    document.getElementById('login-form').style.display = options.localLogin && !loginChallenge ? 'block' : 'none';
+    document.getElementById('register-tab').style.display = options.localLogin ? '' : 'none';
+    document.getElementById('reset-tab').style.display = options.localLogin ? '' : 'none';
+  } catch (err) {
+    // Keep the password form as the fallback
+  }
+};
+
+document.getElementById('sso-login-btn').addEventListener('click', () => {
+  location.href = `${apiBase}/auth/oidc/login`;
+});
+
+// Back from the identity provider: trade the one-time code for a session
+const completeSingleSignOn = async (code) => {
+  try {
+    const res = await fetch(`${apiBase}/auth/oidc/session`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ code })
+    });
+
+    if (!res.ok) {
+      const err = await res.json();
+      throw new Error(err.error || 'Single sign-on failed');
+    }
+
+    const data = await res.json();
+    if (data.twoFactorRequired) {
+      showTwoFactorStep(data);
+      return;
+    }
+    completeLogin(data, data.user.username);
+  } catch (err) {
+    showMessage(err.message);
+  }
+};
+
+// On load: if token exists, show app, else show auth
+window.onload = () => {
+  const params = new URLSearchParams(location.search);
+  const sharedList = params.get('list');
+  if (sharedList) showSharedList(sharedList);
+
+  loadAuthOptions();
+
+  // The single sign-on result is single-use, so drop it from the address bar
+  const ssoCode = params.get('sso');
+  const ssoError = params.get('sso_error');
+  if (ssoCode || ssoError) {
+    history.replaceState(null, '', location.pathname);
+  }
+  if (ssoError) {
+    showMessage(ssoError);
+  }
+  if (ssoCode) {
+    completeSingleSignOn(ssoCode);
+    return;
+  }
 
-// On load: if token exists, show app, else show auth
-window.onload = () => {
   if (token()) {
     showApp(true);
     fetchMovies();
+    connectEvents();
+    loadCredits();
+    loadMyLists();
   }
 };
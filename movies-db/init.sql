@@ -1,4 +1,6 @@
 -- Movies Database Initialization Script
+-- Creates the schema on a fresh volume. Changes to a live database are made
+-- with migrations in backend/migrations/movies (npm run migrate up).
 
 -- Create movies table
 CREATE TABLE IF NOT EXISTS movies (
@@ -9,7 +11,16 @@ CREATE TABLE IF NOT EXISTS movies (
     description TEXT NOT NULL,
     updated_by VARCHAR(50) NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP,
+    deleted_by VARCHAR(50),
+    -- Weighted full-text document: name > actor > genre > description
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(actor, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(genre, '')), 'C') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'D')
+    ) STORED
 );
 
 -- Create indexes for better performance
@@ -18,6 +29,9 @@ CREATE INDEX IF NOT EXISTS idx_movies_actor ON movies(actor);
 CREATE INDEX IF NOT EXISTS idx_movies_genre ON movies(genre);
 CREATE INDEX IF NOT EXISTS idx_movies_updated_by ON movies(updated_by);
 CREATE INDEX IF NOT EXISTS idx_movies_created_at ON movies(created_at);
+CREATE INDEX IF NOT EXISTS idx_movies_updated_at ON movies(updated_at);
+CREATE INDEX IF NOT EXISTS idx_movies_deleted_at ON movies(deleted_at);
+CREATE INDEX IF NOT EXISTS idx_movies_search_vector ON movies USING GIN (search_vector);
 
 -- Create a trigger to update the updated_at timestamp
 CREATE OR REPLACE FUNCTION update_updated_at_column()
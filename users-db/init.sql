@@ -1,11 +1,12 @@
 -- Users Database Initialization Script
+-- Creates the schema on a fresh volume. Changes to a live database are made
+-- with migrations in backend/migrations/users (npm run migrate up).
 
 -- Create users table
 CREATE TABLE IF NOT EXISTS users (
     id SERIAL PRIMARY KEY,
     username VARCHAR(50) UNIQUE NOT NULL,
     password VARCHAR(255) NOT NULL,
-    is_admin BOOLEAN DEFAULT FALSE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -28,12 +29,73 @@ CREATE TRIGGER update_users_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Role-based access control: users hold roles, roles grant permissions
+CREATE TABLE IF NOT EXISTS roles (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(255)
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    permission_id INTEGER NOT NULL REFERENCES permissions(id) ON DELETE CASCADE,
+    PRIMARY KEY (role_id, permission_id)
+);
+
+CREATE TABLE IF NOT EXISTS user_roles (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role_id INTEGER NOT NULL REFERENCES roles(id) ON DELETE CASCADE,
+    PRIMARY KEY (user_id, role_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_roles_role_id ON user_roles(role_id);
+
+INSERT INTO roles (name, description) VALUES
+('viewer', 'Can browse the movie catalogue'),
+('editor', 'Can add, edit and delete movies'),
+('moderator', 'Editor who can also manage the movie trash'),
+('admin', 'Full access, including user and role management')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO permissions (name, description) VALUES
+('movies:read', 'View movies'),
+('movies:write', 'Create and update movies'),
+('movies:delete', 'Move movies to the trash'),
+('movies:trash', 'View and restore deleted movies'),
+('users:manage', 'Create, delete and assign roles to users')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role_id, permission_id)
+SELECT r.id, p.id
+FROM (VALUES
+    ('viewer', 'movies:read'),
+    ('editor', 'movies:read'), ('editor', 'movies:write'), ('editor', 'movies:delete'),
+    ('moderator', 'movies:read'), ('moderator', 'movies:write'), ('moderator', 'movies:delete'),
+    ('moderator', 'movies:trash'),
+    ('admin', 'movies:read'), ('admin', 'movies:write'), ('admin', 'movies:delete'),
+    ('admin', 'movies:trash'), ('admin', 'users:manage')
+) AS grants(role_name, permission_name)
+JOIN roles r ON r.name = grants.role_name
+JOIN permissions p ON p.name = grants.permission_name
+ON CONFLICT DO NOTHING;
+
 -- Insert default admin user (password will be hashed by the application)
 -- This is just a placeholder - the actual admin user is created by the backend
-INSERT INTO users (username, password, is_admin) 
-VALUES ('temp_admin', 'temp_password', TRUE)
+INSERT INTO users (username, password)
+VALUES ('temp_admin', 'temp_password')
 ON CONFLICT (username) DO NOTHING;
 
+INSERT INTO user_roles (user_id, role_id)
+SELECT u.id, r.id FROM users u JOIN roles r ON r.name = 'admin'
+WHERE u.username = 'temp_admin'
+ON CONFLICT DO NOTHING;
+
 -- Grant permissions (if needed for specific user)
 -- GRANT ALL PRIVILEGES ON ALL TABLES IN SCHEMA public TO users_admin;
 -- GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO users_admin;